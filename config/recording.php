@@ -14,10 +14,64 @@ return [
     'timeout' => 1800, // 30 minutes
     'autoAssertions' => true,
     'selectorPriority' => ['data-testid', 'id', 'name', 'class'],
+    'detectSelectorDrift' => true, // Re-check recorded selectors after DOM changes and replace broken ones
     'generateComments' => true,
-    'includeHoverActions' => false,
+    'includeHoverActions' => false, // Hovers that show a menu or tooltip, expand something or reveal the next click target
+    'hoverEffectWindow' => 1000, // Milliseconds after hovering in which that effect must show
     'captureKeyboardShortcuts' => false,
+    'captureNavigationKeys' => true, // Enter, Tab, Escape, arrows and other non-text keys
     'recordScrollPosition' => false,
+    'showToolbar' => true, // In-page toolbar with pause/resume and the live action list
+    'assertionHotkey' => 'Alt+Shift+A', // Toggles assertion picking while recording
+    'debugRawEvents' => false, // Keep the raw browser events behind each recorded action
+    'capturePopups' => true, // Record windows and tabs opened by target="_blank" links, forms and window.open
+    'captureDialogs' => true, // Record alert, confirm, prompt and beforeunload dialogs and how they were answered
+    'captureNetwork' => true, // Record fetch and XMLHttpRequest requests and the action that sent them
+    'networkIgnore' => [], // Regular expressions for request URLs to leave out, e.g. analytics
+    'networkLinkWindow' => 1000, // Milliseconds after an action in which a request is still linked to it
+    'inferWaits' => true, // Turn DOM changes after each action into wait hints
+    'waitSettleWindow' => 2000, // Milliseconds of DOM changes collected after each action
+    'loadingSelectors' => [ // Loading indicators whose removal is waited for
+        '[aria-busy="true"]', '[role="progressbar"]', '.spinner', '.loading', '.loader',
+        '[class*="spinner"]', '[class*="loading"]', '[data-loading]', '[wire\\:loading]',
+    ],
+    'captureFileContents' => false, // Include the base64 contents of small uploaded files
+    'maxFileContentSize' => 102400, // Largest file, in bytes, whose contents are captured (at most 1048576)
+    'fixtureDirectory' => 'tests/Fixtures', // Where generated attach() calls expect upload fixtures
+    'maxActionsPerSession' => 10000, // Actions kept in the browser and waiting to be polled; the oldest are dropped first
+    'actionRateLimit' => 20, // Per second, for each type of action the page causes on its own (DOM changes, visibility, network, scroll)
+    'logLevel' => 'warn', // Browser console output: 'silent', 'error', 'warn', 'info' or 'debug'
+    'pushTransport' => false, // Push actions through window.__pestRecordingPush, which you expose to the page yourself, instead of waiting for polls
+    'pushRetries' => 5, // Failed pushes in a row before the browser leaves delivery to polling
+
+    /*
+    |--------------------------------------------------------------------------
+    | Sensitive Field Redaction
+    |--------------------------------------------------------------------------
+    |
+    | Values typed into sensitive fields are recorded as named placeholders
+    | such as {{password}}. A field is sensitive when its name, id or label
+    | matches a pattern, it carries one of the autocomplete tokens or the mask
+    | attribute, or it matches a "deny" selector; "allow" selectors are never
+    | redacted. Generated tests read placeholders from environment variables
+    | (PEST_PASSWORD) or, with 'placeholder', leave them in place.
+    |
+    */
+
+    'redaction' => [
+        'patterns' => [
+            'password', 'passwd', 'passcode', 'secret', 'token', 'api key', 'ssn', 'social security',
+            'tax id', 'credit card', 'card number', 'cvv', 'cvc', 'csc', 'iban', 'pin', 'otp',
+        ],
+        'autocomplete' => [
+            'current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc',
+            'cc-exp', 'cc-exp-month', 'cc-exp-year',
+        ],
+        'maskAttribute' => 'data-pest-mask', // <input data-pest-mask="api_key"> records {{api_key}}
+        'allow' => [],
+        'deny' => [],
+    ],
+    'redactedValues' => 'env', // 'env' or 'placeholder'
 
     /*
     |--------------------------------------------------------------------------
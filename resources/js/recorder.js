@@ -1,3 +1,337 @@
+/**
+ * Accessibility-based locator utility class
+ * Computes ARIA roles and accessible names, and builds and resolves
+ * Playwright-style role= and text= locators, which document.querySelectorAll
+ * cannot evaluate
+ */
+class AccessibleLocator {
+    constructor() {
+        // Roles worth addressing by role and accessible name
+        this.locatableRoles = [
+            'button', 'link', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox',
+            'combobox', 'listbox', 'option', 'slider', 'spinbutton', 'tab', 'menuitem',
+            'menuitemcheckbox', 'menuitemradio', 'treeitem', 'heading', 'img', 'dialog'
+        ];
+
+        // Roles whose accessible name may come from their content
+        this.nameFromContentRoles = [
+            'button', 'link', 'checkbox', 'radio', 'switch', 'heading', 'option', 'tab',
+            'menuitem', 'menuitemcheckbox', 'menuitemradio', 'treeitem', 'cell', 'gridcell',
+            'columnheader', 'rowheader', 'row', 'tooltip'
+        ];
+
+        this.maxNameLength = 80;
+        this.maxTextLength = 30;
+    }
+
+    /**
+     * Build a role locator such as role=button[name="Save"]
+     */
+    roleLocator(element) {
+        const role = this.getRole(element);
+        if (!role || !this.locatableRoles.includes(role)) return null;
+
+        const name = this.getAccessibleName(element);
+        if (!name || name.length > this.maxNameLength) return null;
+
+        return `role=${role}[name=${JSON.stringify(name)}]`;
+    }
+
+    /**
+     * Build a text locator such as text="Save"
+     */
+    textLocator(element) {
+        const text = this.normalize(element.textContent);
+        if (!text || text.length > this.maxTextLength) return null;
+
+        return `text=${JSON.stringify(text)}`;
+    }
+
+    /**
+     * Check whether a selector is a role= or text= locator
+     */
+    isLocator(selector) {
+        return /^(role|text)=/.test(selector);
+    }
+
+    /**
+     * Resolve a role= or text= locator to the elements it matches
+     *
+     * Names are matched as case-insensitive substrings, which is the loosest
+     * interpretation Playwright may apply, so a locator that resolves to one
+     * element here cannot be ambiguous at replay time.
+     */
+    resolve(locator, root = document) {
+        const roleMatch = locator.match(/^role=([a-z]+)(?:\[name=("(?:[^"\\]|\\.)*")\])?$/);
+        if (roleMatch) {
+            const role = roleMatch[1];
+            const name = roleMatch[2] ? JSON.parse(roleMatch[2]).toLowerCase() : null;
+
+            // Computed styles are only looked up for elements that match on role and name
+            return Array.from(root.querySelectorAll('*')).filter(element =>
+                this.getRole(element) === role &&
+                (name === null || this.getAccessibleName(element).toLowerCase().includes(name)) &&
+                !this.isHidden(element)
+            );
+        }
+
+        const textMatch = locator.match(/^text=("(?:[^"\\]|\\.)*")$/);
+        if (textMatch) {
+            const text = JSON.parse(textMatch[1]);
+            const matches = Array.from(root.querySelectorAll('*')).filter(element =>
+                !['SCRIPT', 'STYLE', 'TEMPLATE'].includes(element.tagName) &&
+                this.normalize(element.textContent) === text &&
+                !this.isHidden(element)
+            );
+
+            // Keep the innermost elements, not every ancestor sharing the same text
+            return matches.filter(element => !matches.some(other => other !== element && element.contains(other)));
+        }
+
+        return [];
+    }
+
+    /**
+     * Get the element's ARIA role, explicit or implicit
+     */
+    getRole(element) {
+        const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+        if (explicit) {
+            return explicit === 'none' ? 'presentation' : explicit;
+        }
+
+        return this.getImplicitRole(element);
+    }
+
+    /**
+     * Get the implicit ARIA role of native HTML elements
+     */
+    getImplicitRole(element) {
+        const tag = element.tagName.toLowerCase();
+
+        switch (tag) {
+            case 'a':
+            case 'area':
+                return element.hasAttribute('href') ? 'link' : null;
+            case 'button':
+                return 'button';
+            case 'input':
+                return this.getInputRole(element);
+            case 'textarea':
+                return 'textbox';
+            case 'select':
+                return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+            case 'option':
+                return 'option';
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return 'heading';
+            case 'img':
+                return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+            case 'nav':
+                return 'navigation';
+            case 'main':
+                return 'main';
+            case 'header':
+                return 'banner';
+            case 'footer':
+                return 'contentinfo';
+            case 'aside':
+                return 'complementary';
+            case 'form':
+                return 'form';
+            case 'section':
+                // Only an author-given name makes a region; content would recurse back into the role
+                return this.getAriaName(element) ? 'region' : null;
+            case 'article':
+                return 'article';
+            case 'dialog':
+                return 'dialog';
+            case 'ul':
+            case 'ol':
+                return 'list';
+            case 'li':
+                return 'listitem';
+            case 'table':
+                return 'table';
+            case 'tr':
+                return 'row';
+            case 'td':
+                return 'cell';
+            case 'th':
+                return 'columnheader';
+            case 'fieldset':
+                return 'group';
+            case 'progress':
+                return 'progressbar';
+            case 'hr':
+                return 'separator';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the implicit role of an input element based on its type
+     */
+    getInputRole(element) {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+        switch (type) {
+            case 'button':
+            case 'submit':
+            case 'reset':
+            case 'image':
+                return 'button';
+            case 'checkbox':
+                return 'checkbox';
+            case 'radio':
+                return 'radio';
+            case 'range':
+                return 'slider';
+            case 'number':
+                return 'spinbutton';
+            case 'search':
+                return element.hasAttribute('list') ? 'combobox' : 'searchbox';
+            case 'text':
+            case 'email':
+            case 'tel':
+            case 'url':
+                return element.hasAttribute('list') ? 'combobox' : 'textbox';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Compute the element's accessible name
+     * Follows the order of the accessible name computation: aria-labelledby,
+     * aria-label, native labelling (label, alt, value, legend), content, title
+     */
+    getAccessibleName(element) {
+        const ariaName = this.getAriaName(element);
+        if (ariaName) return ariaName;
+
+        const nativeName = this.normalize(this.getNativeName(element));
+        if (nativeName) return nativeName;
+
+        const role = this.getRole(element);
+        if (this.nameFromContentRoles.includes(role)) {
+            const content = this.normalize(this.getTextAlternative(element));
+            if (content) return content;
+        }
+
+        return this.normalize(element.getAttribute('title') || element.getAttribute('placeholder'));
+    }
+
+    /**
+     * Get the name an element's author gave it with aria-labelledby or aria-label
+     */
+    getAriaName(element) {
+        // aria-labelledby ids are scoped to the element's document or shadow root
+        const root = element.getRootNode ? element.getRootNode() : element.ownerDocument;
+
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const name = this.normalize(labelledBy.split(/\s+/)
+                .map(id => root.getElementById(id))
+                .filter(Boolean)
+                .map(label => this.getTextAlternative(label))
+                .join(' '));
+            if (name) return name;
+        }
+
+        return this.normalize(element.getAttribute('aria-label'));
+    }
+
+    /**
+     * Get the name an element receives from native HTML labelling
+     */
+    getNativeName(element) {
+        const tag = element.tagName.toLowerCase();
+        const type = (element.getAttribute('type') || '').toLowerCase();
+
+        if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+            return element.value || { submit: 'Submit', reset: 'Reset' }[type] || '';
+        }
+
+        if ((tag === 'input' && type === 'image') || tag === 'img' || tag === 'area') {
+            return element.getAttribute('alt') || '';
+        }
+
+        if (element.labels && element.labels.length > 0) {
+            return Array.from(element.labels).map(label => this.getTextAlternative(label)).join(' ');
+        }
+
+        if (tag === 'fieldset') {
+            const legend = element.querySelector(':scope > legend');
+            return legend ? this.getTextAlternative(legend) : '';
+        }
+
+        if (tag === 'table') {
+            return element.caption ? this.getTextAlternative(element.caption) : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the text alternative of an element's subtree
+     */
+    getTextAlternative(node) {
+        return Array.from(node.childNodes).map((child) => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                return child.nodeValue;
+            }
+
+            if (child.nodeType !== Node.ELEMENT_NODE || this.isHidden(child)) {
+                return '';
+            }
+
+            if (child.hasAttribute('aria-label')) {
+                return child.getAttribute('aria-label');
+            }
+
+            if (child.tagName === 'IMG') {
+                return child.getAttribute('alt') || '';
+            }
+
+            return this.getTextAlternative(child);
+        }).join(' ');
+    }
+
+    /**
+     * Check if an element is excluded from the accessibility tree
+     */
+    isHidden(element) {
+        const view = element.ownerDocument.defaultView;
+
+        for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+            if (current.hidden || current.getAttribute('aria-hidden') === 'true') {
+                return true;
+            }
+
+            const style = view ? view.getComputedStyle(current) : null;
+            if (style && style.display === 'none') {
+                return true;
+            }
+        }
+
+        const style = view ? view.getComputedStyle(element) : null;
+        return Boolean(style && style.visibility === 'hidden');
+    }
+
+    /**
+     * Collapse whitespace and trim
+     */
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
 /**
  * Selector generation utility class
  * Generates stable, unique selectors for DOM elements
@@ -5,41 +339,270 @@
 class SelectorGenerator {
     constructor(priority = ['data-testid', 'id', 'name']) {
         this.priority = priority;
+        this.locator = new AccessibleLocator();
+        this.lastGenerated = null;
     }
 
     /**
      * Generate the best possible selector for an element
+     *
+     * Elements inside open shadow roots get a shadow-piercing chain: the
+     * host's selector followed by the inner selector, joined with " >> ".
      */
     generate(element) {
-        if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        const candidates = this.generateCandidates(element);
+        if (candidates.length === 0) {
             return null;
         }
 
-        // Try priority attributes first
-        for (const attr of this.priority) {
-            const selector = this.tryAttribute(element, attr);
-            if (selector && this.isUnique(selector)) {
-                return selector;
+        // Fallback to CSS path when no candidate is unique
+        const best = candidates.find(candidate => candidate.unique)
+            || candidates.find(candidate => candidate.strategy === 'css-path');
+
+        // The action recorded with this selector in the same event reuses the candidates
+        this.lastGenerated = { element, selector: best.selector, candidates };
+        Promise.resolve().then(() => {
+            this.lastGenerated = null;
+        });
+
+        return best.selector;
+    }
+
+    /**
+     * Get the candidates behind a selector generate() just returned for an element
+     * Generates them again when the selector came from anywhere else.
+     */
+    candidatesFor(element, selector) {
+        const generated = this.lastGenerated;
+        if (generated && generated.element === element && generated.selector === selector) {
+            return generated.candidates;
+        }
+
+        return this.generateCandidates(element);
+    }
+
+    /**
+     * Generate every selector candidate for an element, best first
+     *
+     * Each candidate carries its strategy, a stability score from 0 to 100,
+     * whether it is unique within the element's document or shadow root, and
+     * the heuristic flags that lowered its score.
+     *
+     * @returns {Array<{selector: string, strategy: string, score: number, unique: boolean, flags: string[]}>}
+     */
+    generateCandidates(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+            return [];
+        }
+
+        // Elements inside iframes are checked against their own frame's document
+        const root = this.getShadowRoot(element);
+        const scope = root || element.ownerDocument || document;
+
+        const candidates = this.collectCandidates(element)
+            .map(candidate => this.scoreCandidate(candidate, element, scope))
+            .sort((a, b) => (b.unique - a.unique) || (b.score - a.score));
+
+        if (root) {
+            const hostSelector = this.generate(root.host);
+            if (hostSelector) {
+                candidates.forEach((candidate) => {
+                    candidate.selector = `${hostSelector} >> ${candidate.selector}`;
+                });
             }
         }
 
-        // Try common attributes
-        const commonSelectors = [
-            this.tryAttribute(element, 'data-cy'),
-            this.tryAttribute(element, 'data-test'),
-            this.tryAttribute(element, 'role'),
-            this.tryClass(element),
-            this.tryTagWithText(element)
-        ].filter(Boolean);
+        return candidates;
+    }
 
-        for (const selector of commonSelectors) {
-            if (this.isUnique(selector)) {
-                return selector;
+    /**
+     * Collect unscored candidates from every selector strategy
+     */
+    collectCandidates(element) {
+        const candidates = [];
+        const add = (selector, strategy, base, flags = []) => {
+            if (selector && !candidates.some(candidate => candidate.selector === selector)) {
+                candidates.push({ selector, strategy, base, flags });
             }
+        };
+
+        // Configured priority attributes rank in their configured order.
+        // Classes are scored by their own heuristics below instead.
+        this.priority
+            .filter(attr => attr !== 'class')
+            .forEach((attr, index) => {
+                add(this.tryAttribute(element, attr), this.getAttributeStrategy(attr), 100 - index * 5, this.getValueFlags(element, attr));
+            });
+
+        ['data-testid', 'data-cy', 'data-test', 'data-qa'].forEach((attr) => {
+            add(this.tryAttribute(element, attr), 'test-id', 85, this.getValueFlags(element, attr));
+        });
+        add(this.tryAttribute(element, 'id'), 'id', 75, this.getValueFlags(element, 'id'));
+        add(this.tryAttribute(element, 'name'), 'name', 65, this.getValueFlags(element, 'name'));
+        add(this.locator.roleLocator(element), 'role', 60);
+        add(this.tryAttribute(element, 'role'), 'attribute', 45);
+        add(this.tryClass(element), 'class', 40, this.getClassFlags(element));
+        add(this.locator.textLocator(element), 'text', 35);
+
+        const cssPath = this.generateCssPath(element);
+        add(cssPath, 'css-path', 10, /:nth-child\(/.test(cssPath) ? ['positional'] : []);
+
+        return candidates;
+    }
+
+    /**
+     * Apply flag penalties and the uniqueness check to a candidate
+     * A candidate only counts as unique when its single match is the element itself.
+     */
+    scoreCandidate({ selector, strategy, base, flags }, element, scope) {
+        const penalties = {
+            'auto-generated-id': 60,
+            'hashed-class': 40,
+            'utility-class': 25,
+            'numeric-suffix': 20,
+            'positional': 10
+        };
+
+        const status = this.verify(selector, element, scope);
+        const unique = status === 'unique';
+        const score = Math.max(0, flags.reduce((total, flag) => total - (penalties[flag] || 0), base));
+
+        return {
+            selector,
+            strategy,
+            score,
+            unique,
+            flags: unique ? flags : [...flags, status]
+        };
+    }
+
+    /**
+     * Check what a selector resolves to, relative to the element it was generated for
+     *
+     * @returns {string} 'unique' when it matches only the element, 'not-unique'
+     *     when it matches the element among others, 'wrong-element' when it
+     *     matches other elements only, or 'not-found'
+     */
+    verify(selector, element, scope) {
+        const matches = this.querySegment(selector, scope);
+
+        if (matches.length === 0) return 'not-found';
+        if (!matches.includes(element)) return 'wrong-element';
+        return matches.length === 1 ? 'unique' : 'not-unique';
+    }
+
+    /**
+     * Generate a replacement for a selector that no longer resolves to its element
+     * Takes the best remaining unique candidate, so a selector that broke once
+     * gives way to a sturdier strategy rather than being generated again.
+     * Positional candidates are left out: they only describe the DOM as it is
+     * now, which is not the DOM the element's action ran in.
+     *
+     * @returns {{selector: string, strategy: string, score: number, unique: boolean, flags: string[]}|null}
+     */
+    regenerate(element, failedSelector) {
+        return this.generateCandidates(element).find(candidate =>
+            candidate.unique && candidate.selector !== failedSelector && !candidate.flags.includes('positional')
+        ) || null;
+    }
+
+    /**
+     * Map an attribute to the name of its selector strategy
+     */
+    getAttributeStrategy(attribute) {
+        if (['data-testid', 'data-cy', 'data-test', 'data-qa'].includes(attribute)) {
+            return 'test-id';
+        }
+
+        return ['id', 'name'].includes(attribute) ? attribute : 'attribute';
+    }
+
+    /**
+     * Get heuristic flags for an attribute value
+     */
+    getValueFlags(element, attribute) {
+        const value = element.getAttribute(attribute);
+        if (!value) return [];
+
+        const flags = [];
+        if (attribute === 'id' && this.isAutoGeneratedId(value)) {
+            flags.push('auto-generated-id');
+        }
+        if (/\d+\]?$/.test(value)) {
+            flags.push('numeric-suffix');
         }
 
-        // Fallback to CSS path
-        return this.generateCssPath(element);
+        return flags;
+    }
+
+    /**
+     * Get heuristic flags for the classes tryClass would use
+     */
+    getClassFlags(element) {
+        const flags = new Set();
+
+        this.getSelectableClasses(element).forEach((cls) => {
+            if (this.isHashedClass(cls)) flags.add('hashed-class');
+            if (this.isUtilityClass(cls)) flags.add('utility-class');
+            if (/\d+$/.test(cls) && !this.isUtilityClass(cls)) flags.add('numeric-suffix');
+        });
+
+        return Array.from(flags);
+    }
+
+    /**
+     * Detect ids generated by frameworks or component libraries
+     */
+    isAutoGeneratedId(value) {
+        return /^(ember\d|react-|radix-|headlessui-|mui-|rc-|yui_|ext-gen|j_id|:r)/i.test(value)
+            || /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}/i.test(value)
+            || value.includes(':')
+            || this.looksLikeHash(value);
+    }
+
+    /**
+     * Detect CSS-module, CSS-in-JS and other build-time hashed classes
+     */
+    isHashedClass(cls) {
+        return /^_/.test(cls)
+            || /^(css|sc|jsx|emotion|svelte|jss)-[a-z0-9]+$/i.test(cls)
+            || /__[a-z0-9_-]{5,}$/i.test(cls)
+            || this.looksLikeHash(cls);
+    }
+
+    /**
+     * Check whether the last segment of a value looks like a generated hash,
+     * i.e. letters and digits interleaved (a1b2c3) rather than a word with a number
+     */
+    looksLikeHash(value) {
+        const segment = value.split(/[-_]/).pop();
+        const transitions = (segment.match(/[a-z](?=\d)|\d(?=[a-z])/gi) || []).length;
+
+        return segment.length >= 5 && transitions >= 2;
+    }
+
+    /**
+     * Detect Tailwind-style utility classes, which describe styling rather than identity
+     */
+    isUtilityClass(cls) {
+        return /[:[\]\/]/.test(cls)
+            || /^(flex|grid|block|inline|inline-block|hidden|relative|absolute|fixed|sticky|container|truncate|underline|uppercase|lowercase|capitalize|italic|sr-only)$/.test(cls)
+            || /^-?(p|px|py|pt|pb|pl|pr|m|mx|my|mt|mb|ml|mr|w|h|min-w|max-w|min-h|max-h|gap|space-x|space-y|text|bg|border|rounded|shadow|font|leading|tracking|items|justify|self|place|inset|top|left|right|bottom|z|opacity|overflow|cursor|transition|duration|ease|ring|outline|divide|fill|stroke|order|basis|grow|shrink|col|row|from|via|to)-/.test(cls);
+    }
+
+    /**
+     * Get the open shadow root containing an element, if any
+     */
+    getShadowRoot(element) {
+        const root = element.getRootNode ? element.getRootNode() : document;
+        return this.isShadowRoot(root) ? root : null;
+    }
+
+    /**
+     * Check for a shadow root without instanceof, which fails across iframe realms
+     */
+    isShadowRoot(node) {
+        return node?.nodeType === Node.DOCUMENT_FRAGMENT_NODE && Boolean(node.host);
     }
 
     /**
@@ -71,9 +634,7 @@ class SelectorGenerator {
      * Try to generate selector using CSS classes
      */
     tryClass(element) {
-        const classes = Array.from(element.classList)
-            .filter(cls => cls && !cls.startsWith('_') && !cls.includes('random'))
-            .slice(0, 3);
+        const classes = this.getSelectableClasses(element);
 
         if (classes.length === 0) return null;
         
@@ -81,22 +642,25 @@ class SelectorGenerator {
     }
 
     /**
-     * Try to generate selector using tag and text content
+     * Pick up to three classes for a class selector, preferring ones that
+     * look neither hashed nor like styling utilities
      */
-    tryTagWithText(element) {
-        const tag = element.tagName.toLowerCase();
-        const text = element.textContent?.trim();
-        
-        if (!text || text.length > 30) return null;
-        
-        // For browsers that support :contains() (non-standard)
-        return `${tag}:contains("${text.replace(/"/g, '\\"')}")`;
+    getSelectableClasses(element) {
+        const classes = Array.from(element.classList)
+            .filter(cls => cls && !cls.startsWith('_') && !cls.includes('random'));
+        const isStable = cls => !this.isHashedClass(cls) && !this.isUtilityClass(cls);
+
+        const stable = classes.filter(isStable);
+
+        return (stable.length > 0 ? stable : classes).slice(0, 3);
     }
 
     /**
      * Generate full CSS path as fallback
+     * The path grows past its usual depth until it resolves to the element alone.
      */
     generateCssPath(element) {
+        const scope = this.getShadowRoot(element) || element.ownerDocument || document;
         const path = [];
         let current = element;
 
@@ -106,7 +670,11 @@ class SelectorGenerator {
             if (current.id) {
                 selector += `#${this.escapeSelector(current.id)}`;
                 path.unshift(selector);
-                break;
+
+                // Duplicate ids need the path above them
+                if (this.verify(path.join(' > '), element, scope) === 'unique') break;
+                current = current.parentElement;
+                continue;
             }
             
             if (current.className) {
@@ -118,30 +686,81 @@ class SelectorGenerator {
                 }
             }
             
-            // Add nth-child if needed for uniqueness
-            const siblings = Array.from(current.parentNode?.children || [])
-                .filter(sibling => sibling.tagName === current.tagName);
-            if (siblings.length > 1) {
-                const index = siblings.indexOf(current) + 1;
-                selector += `:nth-child(${index})`;
+            // Add nth-child if needed for uniqueness, counted among all siblings as :nth-child() does
+            const siblings = Array.from(current.parentNode?.children || []);
+            if (siblings.some(sibling => sibling !== current && sibling.tagName === current.tagName)) {
+                selector += `:nth-child(${siblings.indexOf(current) + 1})`;
             }
             
             path.unshift(selector);
             current = current.parentElement;
             
-            // Limit path depth
-            if (path.length >= 5) break;
+            // Limit path depth, unless the path is not yet unique
+            if (path.length >= 5 && this.verify(path.join(' > '), element, scope) === 'unique') break;
         }
 
         return path.join(' > ');
     }
 
     /**
-     * Check if selector is unique in the document
+     * Resolve a generated selector back to the elements it matches
+     *
+     * Understands the shadow-piercing " >> " chains and role=/text= locators
+     * produced by generate(), and the iframe path recorded on actions.
+     *
+     * @param {string} selector - Selector as recorded
+     * @param {string[]} frame - Iframe selector path, outermost first
+     * @returns {Element[]}
+     */
+    resolveAll(selector, frame = [], root = document) {
+        if (!selector) return [];
+
+        for (const frameSelector of frame) {
+            const frameElement = this.resolveAll(frameSelector, [], root)[0];
+            let frameDocument = null;
+            try {
+                frameDocument = frameElement?.contentDocument || null;
+            } catch (e) {
+                frameDocument = null;
+            }
+            if (!frameDocument) return [];
+            root = frameDocument;
+        }
+
+        return selector.split(' >> ').reduce((scopes, segment, index) => {
+            return scopes.flatMap((scope) => {
+                // Later chain segments live in the previous match's shadow root
+                const searchRoot = index === 0 ? scope : (scope.shadowRoot || scope);
+                return this.querySegment(segment, searchRoot);
+            });
+        }, [root]);
+    }
+
+    /**
+     * Query a single selector segment within a document, shadow root or element
+     */
+    querySegment(segment, root) {
+        try {
+            if (this.locator.isLocator(segment)) {
+                return this.locator.resolve(segment, root);
+            }
+
+            return Array.from(root.querySelectorAll(segment));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Check if selector is unique in the document or shadow root
      */
-    isUnique(selector) {
+    isUnique(selector, root = document) {
         try {
-            return document.querySelectorAll(selector).length === 1;
+            if (this.locator.isLocator(selector)) {
+                return this.locator.resolve(selector, root).length === 1;
+            }
+
+            return root.querySelectorAll(selector).length === 1;
         } catch (e) {
             return false;
         }
@@ -161,45 +780,365 @@ class SelectorGenerator {
     }
 }
 /**
- * Browser-side recorder for capturing user interactions
- * Records clicks, inputs, and other events for test generation
- * 
- * @class PestRecorder
- * @version 1.0.0
- * @author Pest Plugin Browser Recording
+ * Sensitive field detection utility class
+ * Decides from a field's metadata (name, id, label, autocomplete token, mask
+ * attribute and the configured selector lists) whether its value must be kept
+ * out of the recording, and names the placeholder that replaces it
  */
-class PestRecorder {
+class FieldRedactor {
     /**
-     * @param {Object} config - Configuration options
+     * @param {Object} options - Patterns, autocomplete tokens, mask attribute and allow and deny selectors
+     * @param {Function|null} log - The recorder's log(level, ...args), so warnings follow its logLevel
      */
-    constructor(config = {}) {
-        this.config = {
-            timeout: 1800,
-            autoAssertions: true,
-            selectorPriority: ['data-testid', 'id', 'name'],
-            includeHoverActions: false,
-            captureKeyboardShortcuts: false,
-            recordScrollPosition: false,
-            ...config
+    constructor(options = {}, log = null) {
+        this.options = {
+            // Matched against the field's name, id and label, split into words
+            patterns: [
+                'password', 'passwd', 'passcode', 'secret', 'token', 'api key', 'ssn', 'social security',
+                'tax id', 'credit card', 'card number', 'cvv', 'cvc', 'csc', 'iban', 'pin', 'otp'
+            ],
+            autocomplete: [
+                'current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc',
+                'cc-exp', 'cc-exp-month', 'cc-exp-year'
+            ],
+            maskAttribute: 'data-pest-mask',
+            // Selectors that are never redacted, and selectors that always are
+            allow: [],
+            deny: [],
+            ...options
         };
-        
-        this.actions = [];
-        this.isRecording = false;
-        this.sessionId = Math.random().toString(36).substr(2, 9);
-        
-        // Event listener registry for cleanup
-        this.eventListeners = new Map();
-        
+
+        this.log = log || ((level, ...args) => console[level]('[PestRecorder]', ...args));
+        this.locator = new AccessibleLocator();
+
+        // Patterns are plain words, so characters such as "." or "+" match themselves
+        this.patterns = this.options.patterns.map(pattern =>
+            new RegExp(`\\b${pattern.replace(/\s+/g, ' ').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+        );
+
+        // Placeholder names for autocomplete tokens that describe the same value
+        this.autocompleteNames = {
+            'current-password': 'password',
+            'new-password': 'new_password',
+            'one-time-code': 'otp',
+            'cc-number': 'card_number',
+            'cc-csc': 'card_cvc',
+            'cc-exp': 'card_expiry',
+            'cc-exp-month': 'card_expiry_month',
+            'cc-exp-year': 'card_expiry_year'
+        };
+    }
+
+    /**
+     * Replace a sensitive field's value with its placeholder, e.g. {{password}}
+     */
+    redact(value, element) {
+        if (typeof value !== 'string' || value === '' || !element || !this.isSensitive(element)) {
+            return value;
+        }
+
+        return `{{${this.getPlaceholderName(element)}}}`;
+    }
+
+    /**
+     * Check whether a field's value must be redacted
+     *
+     * An explicit mask attribute or deny-list match always redacts, an
+     * allow-list match never does, and otherwise the field's type,
+     * autocomplete token, name, id and label decide.
+     */
+    isSensitive(element) {
+        if (this.closest(element, `[${this.options.maskAttribute}]`)) return true;
+        if (this.options.deny.some(selector => this.closest(element, selector))) return true;
+        if (this.options.allow.some(selector => this.closest(element, selector))) return false;
+
+        if ((element.getAttribute('type') || '').toLowerCase() === 'password') return true;
+        if (this.getAutocompleteToken(element)) return true;
+
+        const description = this.describe(element);
+        return this.patterns.some(pattern => pattern.test(description));
+    }
+
+    /**
+     * Name the placeholder for a redacted field
+     * Taken from the mask attribute's value, the autocomplete token, a password
+     * type, or the field's name or id, in that order.
+     */
+    getPlaceholderName(element) {
+        const masked = this.closest(element, `[${this.options.maskAttribute}]`);
+        const maskName = masked?.getAttribute(this.options.maskAttribute);
+        if (maskName && maskName !== 'true') return this.toPlaceholderName(maskName);
+
+        const token = this.getAutocompleteToken(element);
+        if (token) return this.autocompleteNames[token] || this.toPlaceholderName(token);
+
+        if ((element.getAttribute('type') || '').toLowerCase() === 'password') return 'password';
+
+        return this.toPlaceholderName(element.getAttribute('name') || element.id || '') || 'secret';
+    }
+
+    /**
+     * Get the configured autocomplete token a field carries, if any
+     * Section and address-group prefixes such as "section-billing" are skipped.
+     */
+    getAutocompleteToken(element) {
+        const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        return tokens.find(token => this.options.autocomplete.includes(token)) || null;
+    }
+
+    /**
+     * Describe a field by its name, id and label as space-separated words
+     * so that "cardNumber", "card_number" and "Card number" read alike
+     */
+    describe(element) {
+        return this.toWords([element.getAttribute('name'), element.id, this.locator.getAccessibleName(element)]
+            .filter(Boolean)
+            .join(' '));
+    }
+
+    /**
+     * Split text into lowercase space-separated words, breaking up camelCase
+     */
+    toWords(text) {
+        return text
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/[^a-zA-Z0-9]+/g, ' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Replace a prompt's answer with a placeholder when the prompt asks for
+     * something sensitive, e.g. {{password}} for "Enter your password"
+     * A prompt has no field to inspect, so its message stands in for the label.
+     */
+    redactAnswer(value, message) {
+        if (typeof value !== 'string' || value === '') return value;
+
+        const description = this.toWords(message);
+        const index = this.patterns.findIndex(pattern => pattern.test(description));
+        if (index === -1) return value;
+
+        return `{{${this.toPlaceholderName(this.options.patterns[index])}}}`;
+    }
+
+    /**
+     * Turn a field name such as "user[password]" into a placeholder name
+     */
+    toPlaceholderName(name) {
+        return name
+            .replace(/([a-z])([A-Z])/g, '$1_$2')
+            .replace(/[^a-zA-Z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Element.closest() that treats an invalid configured selector as no match
+     */
+    closest(element, selector) {
+        try {
+            return element.closest(selector);
+        } catch (error) {
+            this.log('warn', 'Invalid redaction selector:', selector);
+            return null;
+        }
+    }
+}
+/**
+ * Browser-side recorder for capturing user interactions
+ * Records clicks, inputs, and other events for test generation
+ * 
+ * @class PestRecorder
+ * @version 1.0.0
+ * @author Pest Plugin Browser Recording
+ */
+class PestRecorder {
+    /**
+     * @param {Object} config - Configuration options
+     */
+    constructor(config = {}) {
+        this.config = {
+            timeout: 1800,
+            autoAssertions: true,
+            selectorPriority: ['data-testid', 'id', 'name'],
+            includeHoverActions: false,
+            // Milliseconds after the pointer enters an element in which its hover may show an effect
+            hoverEffectWindow: 1000,
+            captureKeyboardShortcuts: false,
+            captureNavigationKeys: true,
+            recordScrollPosition: false,
+            showToolbar: true,
+            assertionHotkey: 'Alt+Shift+A',
+            captureFileContents: false,
+            maxFileContentSize: 102400,
+            fixtureDirectory: 'tests/Fixtures',
+            debugRawEvents: false,
+            redaction: {},
+            captureNetwork: true,
+            networkIgnore: [],
+            networkLinkWindow: 1000,
+            inferWaits: true,
+            waitSettleWindow: 2000,
+            loadingSelectors: [
+                '[aria-busy="true"]', '[role="progressbar"]', '.spinner', '.loading', '.loader',
+                '[class*="spinner"]', '[class*="loading"]', '[data-loading]', '[wire\\:loading]'
+            ],
+            detectSelectorDrift: true,
+            capturePopups: true,
+            captureDialogs: true,
+            // Page this recorder runs in; PHP gives each attached popup the id its opener recorded
+            pageId: 'main',
+            // Actions kept in the browser and waiting to be polled; the oldest are dropped first
+            maxActionsPerSession: 10000,
+            // Actions per second of each type the page causes on its own (DOM changes, visibility, network, scroll)
+            actionRateLimit: 20,
+            // Console output: 'silent', 'error', 'warn', 'info' or 'debug'
+            logLevel: 'warn',
+            // Push actions through window.__pestRecordingPush when the page exposes it; polling remains the fallback.
+            // Off by default: RecordingSession does not expose the binding, so enabling it means wiring one up
+            pushTransport: false,
+            // Failed pushes in a row before leaving delivery to polling
+            pushRetries: 5,
+            ...config
+        };
+        
+        this.actions = [];
+        this.isRecording = false;
+        this.isPaused = false;
+        this.isInspecting = false;
+        this.isReplaying = false;
+        this.sessionId = Math.random().toString(36).substr(2, 9);
+        this.nextActionId = 1;
+        this.nextPopupId = 1;
+        this.nextSequence = 1;
+        this.startedAt = Date.now();
+        
+        // Actions handed to PHP that it has not acknowledged yet, sent again until it does
+        this.unacknowledged = [];
+        this.pushTimer = null;
+        this.pushInFlight = false;
+        this.pushFailures = 0;
+        this.pushDisabled = false;
+        
+        // Actions lost because the buffer was full before PHP polled them, and per type to the rate limit
+        this.droppedActions = 0;
+        this.rateLimitedActions = {};
+        this.rateLimitedTypes = ['dom:added', 'visibility', 'network', 'scroll'];
+        this.rateWindows = new Map();
+        
+        // Continue a session persisted by the previous page, if any
+        this.storageKey = this.config.pageId === 'main' ? '__pestRecorderState' : `__pestRecorderState:${this.config.pageId}`;
+        this.restoredState = this.loadPersistedState();
+        if (this.restoredState) {
+            this.sessionId = this.restoredState.sessionId;
+            this.nextActionId = this.restoredState.nextActionId;
+            this.nextPopupId = this.restoredState.nextPopupId;
+            this.nextSequence = this.restoredState.nextSequence;
+            this.unacknowledged = this.restoredState.unacknowledged;
+            this.startedAt = this.restoredState.startedAt;
+            this.droppedActions = this.restoredState.droppedActions;
+            this.rateLimitedActions = this.restoredState.rateLimitedActions;
+            this.actions = [...this.restoredState.unacknowledged, ...this.restoredState.pending];
+            this.isPaused = this.restoredState.isPaused;
+        }
+        
+        // Actions numbered from here on were recorded in this document; only those can be replayed in it
+        this.pageStartId = this.nextActionId;
+        
+        // In-page toolbar, created on start when enabled
+        this.toolbar = null;
+        
+        // Drag and drop in progress: a native HTML5 drag, or a pointer gesture
+        this.nativeDrag = null;
+        this.dragGesture = null;
+        this.suppressNextClick = false;
+        
+        // Navigation keys waiting for their default action before being recorded
+        this.pendingKeys = [];
+        
+        // Rich-text editor roots and their text when the current edit began
+        this.editorSnapshots = new WeakMap();
+        
+        // DOM changes following the last user action, turned into wait hints
+        this.settleWindow = null;
+        this.maxWaitHintsPerKind = 3;
+        
+        // Hovered elements, innermost last, kept as candidates until their hover has a visible effect
+        this.hoverStack = [];
+        
+        // Recorded hovers the pointer left, watched for their effect being undone
+        this.hoverLeaves = [];
+        
+        // Recent actions and their elements, re-checked for selector drift after DOM changes
+        this.trackedSelectors = [];
+        this.maxTrackedSelectors = 50;
+        
+        // Last user actions and their elements, folded into a custom widget's select when an option is picked
+        this.recentSteps = [];
+        
+        // Event listener registry for cleanup
+        this.eventListeners = new Map();
+        
+        // Open shadow roots that already have listeners attached
+        this.shadowRoots = new Set();
+        
+        // Same-origin iframes and their documents that already have listeners attached
+        this.frames = new Set();
+        this.frameDocuments = new Set();
+        
         // Observers for cleanup
         this.mutationObserver = null;
         this.intersectionObserver = null;
         
+        // Elements whose visibility is tracked, and whether each was observed, shown and hidden
+        this.visibilitySelector = 'button, a, input, select, textarea, [role="button"]';
+        this.visibilityStates = new WeakMap();
+        
+        // Observed DOM mutations waiting for an idle moment, processed in batches
+        this.mutationQueue = [];
+        this.mutationCallback = null;
+        this.processingMutations = false;
+        
+        // Stops the session once the timeout has passed since it started
+        this.timeoutTimer = null;
+        
+        // PHP-to-browser command channel
+        this.commandInterval = null;
+        
+        // Original History API methods, restored on cleanup
+        this.originalHistory = null;
+        
+        // Original fetch and XMLHttpRequest methods, restored on cleanup
+        this.originalNetwork = null;
+        
+        // Original window.open, restored on cleanup
+        this.originalWindowOpen = null;
+        
+        // Original alert, confirm and prompt, restored on cleanup
+        this.originalDialogs = null;
+        
+        // beforeunload prompt shown, recorded once it is known whether the page was left
+        this.pendingUnloadDialog = null;
+        
+        // Recorded dialog answers a running replay gives in order
+        this.replayAnswers = [];
+        
         // Throttling for high-frequency events
         this.scrollThrottle = this.throttle(this.handleScroll.bind(this), 100);
         this.inputDebounce = this.debounce(this.handleInput.bind(this), 300);
+        this.selectorCheck = this.debounce(this.checkTrackedSelectors.bind(this), 250);
         
         // Initialize selector generation
         this.selectorGenerator = new SelectorGenerator(this.config.selectorPriority);
+        
+        // Replaces the values of sensitive fields with named placeholders
+        this.redactor = new FieldRedactor(this.config.redaction, this.log.bind(this));
+        
+        // Requests whose URL matches one of these are not recorded
+        this.networkIgnorePatterns = this.compileIgnorePatterns(this.config.networkIgnore);
+        
+        // Merges raw events into intent-level actions before they are sent
+        this.normalizer = new ActionNormalizer(this);
     }
 
     /**
@@ -207,89 +1146,240 @@ class PestRecorder {
      */
     start() {
         if (this.isRecording) {
-            console.warn('[PestRecorder] Already recording');
+            this.log('warn', 'Already recording');
             return;
         }
 
-        console.log('[PestRecorder] Starting recording session:', this.sessionId);
+        this.log('info', 'Starting recording session:', this.sessionId);
         this.isRecording = true;
+        this.scheduleSessionTimeout();
         
         this.attachEventListeners();
+        this.attachShadowRootListeners(document);
         this.setupMutationObserver();
         this.setupIntersectionObserver();
+        this.attachFrameListeners(document);
         
-        // Record session start
-        this.recordAction('session:start', {
-            sessionId: this.sessionId,
-            url: window.location.href,
-            timestamp: Date.now(),
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight
-            },
-            userAgent: navigator.userAgent
-        });
+        if (this.config.showToolbar) {
+            this.toolbar = new RecorderToolbar(this);
+            this.toolbar.mount();
+        }
+        
+        if (this.restoredState) {
+            this.resumePersistedSession();
+        } else {
+            // Record session start
+            this.recordAction('session:start', {
+                sessionId: this.sessionId,
+                url: window.location.href,
+                timestamp: Date.now(),
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight
+                },
+                userAgent: navigator.userAgent
+            });
+        }
+        
+        // Commands queued before start are handled after session:start
+        this.setupCommandChannel();
     }
 
     /**
      * Stop recording and clean up
+     *
+     * @param {string} reason - Why the session ended: 'stopped' or 'timeout'
      */
-    stop() {
+    stop(reason = 'stopped') {
         if (!this.isRecording) {
-            console.warn('[PestRecorder] Not currently recording');
+            this.log('warn', 'Not currently recording');
             return;
         }
 
-        console.log('[PestRecorder] Stopping recording session:', this.sessionId);
+        this.log('info', 'Stopping recording session:', this.sessionId);
+        
+        // Send whatever is still debounced or held for normalization
+        this.inputDebounce.flush();
+        this.normalizer.settle();
+        this.closeSettleWindow();
         this.isRecording = false;
         
-        // Record session end
-        this.recordAction('session:end', {
+        // Record session end; emitted directly, since recording has stopped
+        this.emitAction('session:end', {
             sessionId: this.sessionId,
-            totalActions: this.actions.length,
+            totalActions: this.nextActionId - 1,
+            reason,
+            droppedActions: this.droppedActions,
+            rateLimitedActions: this.rateLimitedActions,
             timestamp: Date.now()
         });
         
+        this.clearPersistedState();
         this.cleanup();
     }
 
+    /**
+     * Pause recording without tearing down listeners
+     */
+    pause() {
+        if (!this.isRecording || this.isPaused) return;
+
+        this.closeSettleWindow();
+
+        this.recordAction('session:pause', {
+            sessionId: this.sessionId,
+            timestamp: Date.now()
+        });
+        this.isPaused = true;
+        this.toolbar?.render();
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resume() {
+        if (!this.isRecording || !this.isPaused) return;
+
+        this.isPaused = false;
+        this.recordAction('session:resume', {
+            sessionId: this.sessionId,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Remove a recorded action by id
+     *
+     * Actions still waiting in the polling array are dropped silently; actions
+     * PHP may already have received are retracted with an action:removed action.
+     */
+    removeAction(id) {
+        const index = this.actions.findIndex(action => action.id === id);
+        if (index === -1) return;
+
+        const [removed] = this.actions.splice(index, 1);
+        const queue = window.__pestRecordingActions;
+        const queuedIndex = queue ? queue.findIndex(action => action.id === id) : -1;
+
+        if (queuedIndex !== -1) {
+            this.unqueue(queuedIndex);
+            this.toolbar?.render();
+        } else {
+            this.recordAction('action:removed', {
+                actionId: id,
+                type: removed.type
+            });
+        }
+    }
+
+    /**
+     * Remove the most recent user-facing action
+     */
+    removeLastAction() {
+        const last = this.getUserActions().pop();
+        if (last) {
+            this.removeAction(last.id);
+        }
+    }
+
+    /**
+     * Get recorded actions that represent user interactions,
+     * leaving out session lifecycle and observer noise
+     */
+    getUserActions() {
+        return this.actions.filter(action => this.isUserAction(action));
+    }
+
+    /**
+     * Check if an action represents a user interaction
+     */
+    isUserAction(action) {
+        const internalTypes = ['dom:added', 'visibility', 'beforeunload', 'action:removed', 'selector:updated', 'attach:content', 'network', 'wait', 'popup:opened', 'dialog'];
+        return !action.type.startsWith('session:') && !internalTypes.includes(action.type);
+    }
+
     /**
      * Attach all event listeners using event delegation
      */
     attachEventListeners() {
-        // Click events
-        this.addEventListener(document, 'click', this.handleClick.bind(this));
-        this.addEventListener(document, 'dblclick', this.handleDoubleClick.bind(this));
-        this.addEventListener(document, 'contextmenu', this.handleRightClick.bind(this));
-        
-        // Input events
-        this.addEventListener(document, 'input', this.inputDebounce);
-        this.addEventListener(document, 'change', this.handleChange.bind(this));
-        this.addEventListener(document, 'focus', this.handleFocus.bind(this));
-        this.addEventListener(document, 'blur', this.handleBlur.bind(this));
-        
-        // Form events
-        this.addEventListener(document, 'submit', this.handleSubmit.bind(this));
+        this.attachDocumentListeners(document);
         
         // Navigation events
         this.addEventListener(window, 'beforeunload', this.handleBeforeUnload.bind(this));
+        this.addEventListener(window, 'pagehide', this.handlePageHide.bind(this));
         this.addEventListener(window, 'popstate', this.handlePopState.bind(this));
         
         // Monitor history API for SPA navigation
         this.patchHistoryAPI();
         
-        // Optional events based on config
-        if (this.config.captureKeyboardShortcuts) {
-            this.addEventListener(document, 'keydown', this.handleKeydown.bind(this));
-        }
+        // Monitor fetch and XMLHttpRequest for requests caused by user actions
+        this.instrumentNetwork();
+        
+        // Monitor window.open for popups and new tabs
+        this.instrumentPopups();
+        
+        // Monitor alert, confirm and prompt for dialogs and their answers
+        this.instrumentDialogs();
         
         if (this.config.recordScrollPosition) {
             this.addEventListener(window, 'scroll', this.scrollThrottle);
         }
+    }
+
+    /**
+     * Attach the delegated interaction listeners to a single document
+     * Used for the top document and for every same-origin iframe document
+     */
+    attachDocumentListeners(doc) {
+        // Click events
+        this.addEventListener(doc, 'click', this.handleClick.bind(this));
+        this.addEventListener(doc, 'dblclick', this.handleDoubleClick.bind(this));
+        this.addEventListener(doc, 'contextmenu', this.handleRightClick.bind(this));
+        
+        // Input events
+        // The real target is resolved now, since composedPath() is empty once dispatch ends
+        this.addEventListener(doc, 'input', (event) => this.inputDebounce(event, this.resolveEventTarget(event)));
+        this.addEventListener(doc, 'beforeinput', this.handleBeforeInput.bind(this), true);
+        this.addEventListener(doc, 'change', this.handleChange.bind(this));
+        this.addEventListener(doc, 'focus', this.handleFocus.bind(this));
+        this.addEventListener(doc, 'blur', this.handleBlur.bind(this));
+        
+        // Drag and drop, and files dropped on drop zones; captured since drop zones usually stop propagation
+        this.addEventListener(doc, 'dragstart', this.handleDragStart.bind(this), true);
+        this.addEventListener(doc, 'dragend', this.handleDragEnd.bind(this), true);
+        this.addEventListener(doc, 'drop', this.handleDrop.bind(this), true);
+        
+        // Pointer gestures that move an element, as used by sortable lists
+        const pointer = doc.defaultView && 'PointerEvent' in doc.defaultView ? 'pointer' : 'mouse';
+        this.addEventListener(doc, `${pointer}down`, this.handleGestureStart.bind(this), true);
+        this.addEventListener(doc, `${pointer}move`, this.handleGestureMove.bind(this), true);
+        this.addEventListener(doc, `${pointer}up`, this.handleGestureEnd.bind(this), true);
+        if (pointer === 'pointer') {
+            this.addEventListener(doc, 'pointercancel', () => { this.dragGesture = null; }, true);
+        }
+        
+        // Form events
+        this.addEventListener(doc, 'submit', this.handleSubmit.bind(this));
+        
+        // Optional events based on config
+        // Captured, so keys the page handles and stops are still seen
+        if (this.config.captureKeyboardShortcuts || this.config.captureNavigationKeys) {
+            this.addEventListener(doc, 'keydown', this.handleKeydown.bind(this), true);
+        }
         
         if (this.config.includeHoverActions) {
-            this.addEventListener(document, 'mouseenter', this.handleMouseEnter.bind(this), true);
-            this.addEventListener(document, 'mouseleave', this.handleMouseLeave.bind(this), true);
+            this.addEventListener(doc, 'mouseover', this.handleMouseOver.bind(this), true);
+            this.addEventListener(doc, 'mouseout', this.handleMouseOut.bind(this), true);
+        }
+        
+        // Assertion picking runs in the capture phase on the window, ahead of page handlers
+        const view = doc.defaultView;
+        if (view) {
+            ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'].forEach((type) => {
+                this.addEventListener(view, type, this.handleInspectEvent.bind(this), true);
+            });
+            this.addEventListener(view, 'mouseover', this.handleInspectHover.bind(this), true);
+            this.addEventListener(view, 'keydown', this.handleInspectHotkey.bind(this), true);
         }
     }
 
@@ -307,9 +1397,48 @@ class PestRecorder {
 
     /**
      * Record an action and send to PHP process
+     *
+     * @param {string} type - Action type
+     * @param {Object} data - Action-specific data
+     * @param {Element|null} element - Element the action targeted, used to tag actions inside iframes
      */
-    recordAction(type, data) {
-        if (!this.isRecording) return;
+    recordAction(type, data, element = null) {
+        if (!this.isRecording || this.isPaused || this.isReplaying) return;
+
+        // Observer output on busy pages is capped per type
+        if (this.isRateLimited(type)) return;
+
+        // DOM changes observed before this action belong to the actions and hovers before it
+        this.flushMutations();
+
+        // A key recorded later must not end up after what it caused, such as a submit
+        if (this.pendingKeys.length > 0) {
+            this.settlePendingKeys();
+        }
+
+        // Changes after any other interaction are no longer the hover's doing
+        if (type !== 'hover' && this.isUserAction({ type })) {
+            this.interruptHovers();
+        }
+
+        // Interacting with the page again means the user chose to stay on it
+        if (this.pendingUnloadDialog && this.isUserAction({ type })) {
+            this.resolveUnloadDialog(false);
+        }
+
+        this.emitAction(type, data, element);
+    }
+
+    /**
+     * Build an action and pass it through normalization, regardless of the paused state
+     */
+    emitAction(type, data, element = null) {
+        data = this.withPageContext(data, element ? this.getFramePath(element) : []);
+
+        // Ranked alternatives let the PHP side pick or fall back between selectors
+        if (element && data.selector) {
+            data = { ...data, selectors: this.selectorGenerator.candidatesFor(element, data.selector) };
+        }
 
         const action = {
             type,
@@ -319,14 +1448,86 @@ class PestRecorder {
             url: window.location.href
         };
 
-        this.actions.push(action);
+        this.normalizer.push(action, element);
+    }
 
-        // Send to PHP process via polling array
-        if (window.__pestRecordingActions) {
-            window.__pestRecordingActions.push(action);
+    /**
+     * Add where an action happened to its data: the path of the frame it is in,
+     * and in a popup the page it belongs to
+     */
+    withPageContext(data, frame) {
+        if (frame.length > 0) {
+            data = { ...data, frame };
+        }
+
+        // Actions recorded in a popup say which page they belong to
+        if (this.config.pageId !== 'main') {
+            data = { ...data, pageId: this.config.pageId };
+        }
+
+        return data;
+    }
+
+    /**
+     * Number a normalized action and send it to PHP
+     *
+     * @param {Object} action - Normalized action
+     * @param {Element|null} element - Element the action targeted, watched for selector drift
+     */
+    deliverAction(action, element = null) {
+        // A user action ends the settle window of the one before it
+        const isUserAction = this.isUserAction(action);
+        if (isUserAction) {
+            this.closeSettleWindow();
+        }
+
+        action.id = this.nextActionId++;
+        this.bufferAction(action);
+        
+        this.log('debug', 'Recorded action:', action.type, action.data);
+        
+        if (isUserAction) {
+            this.openSettleWindow(action);
+            this.trackSelector(action, element);
+            this.recentSteps = [...this.recentSteps.slice(-9), { action, element }];
         }
         
-        console.log('[PestRecorder] Recorded action:', type, data);
+        this.toolbar?.render();
+    }
+
+    /**
+     * Check if an action is still waiting in the polling array, so it can be changed or withdrawn
+     */
+    isQueued(action) {
+        return Boolean(window.__pestRecordingActions?.includes(action));
+    }
+
+    /**
+     * Withdraw an action PHP has not polled yet
+     *
+     * @returns {boolean} Whether the action was withdrawn
+     */
+    withdrawAction(action) {
+        if (!this.isQueued(action)) return false;
+
+        this.unqueue(window.__pestRecordingActions.indexOf(action));
+        this.actions.splice(this.actions.indexOf(action), 1);
+        return true;
+    }
+
+    /**
+     * Take an action out of the polling queue, numbering the actions queued
+     * after it down so that PHP sees no gap where it was
+     */
+    unqueue(index) {
+        const queue = window.__pestRecordingActions;
+        const [action] = queue.splice(index, 1);
+        if (action.sequence === undefined) return;
+
+        queue.slice(index)
+            .filter(later => later.sequence !== undefined)
+            .forEach(later => later.sequence--);
+        this.nextSequence--;
     }
 
     /**
@@ -340,19 +1541,75 @@ class PestRecorder {
             });
         });
         this.eventListeners.clear();
+        this.shadowRoots.clear();
+        this.frames.clear();
+        this.frameDocuments.clear();
+        
+        // Remove the toolbar
+        if (this.toolbar) {
+            this.toolbar.unmount();
+            this.toolbar = null;
+        }
+        
+        // Close the command channel
+        if (this.commandInterval) {
+            clearInterval(this.commandInterval);
+            this.commandInterval = null;
+        }
+        if (Array.isArray(window.__pestRecordingMessages)) {
+            delete window.__pestRecordingMessages.push;
+        }
+        
+        // Restore the History API
+        if (this.originalHistory) {
+            history.pushState = this.originalHistory.pushState;
+            history.replaceState = this.originalHistory.replaceState;
+            this.originalHistory = null;
+        }
+        
+        // Restore fetch and XMLHttpRequest
+        this.restoreNetwork();
+        
+        // Restore window.open
+        this.restorePopups();
+        
+        // Restore alert, confirm and prompt
+        this.restoreDialogs();
+        
+        if (this.timeoutTimer) {
+            clearTimeout(this.timeoutTimer);
+            this.timeoutTimer = null;
+        }
+        
+        // Unacknowledged actions are still handed out by takeBatch() for a final poll
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+        
+        // Drop DOM changes still being collected
+        if (this.settleWindow) {
+            clearTimeout(this.settleWindow.timer);
+            this.settleWindow = null;
+        }
+        this.trackedSelectors = [];
+        this.recentSteps = [];
+        this.hoverStack = [];
+        this.hoverLeaves = [];
         
         // Disconnect observers
         if (this.mutationObserver) {
             this.mutationObserver.disconnect();
             this.mutationObserver = null;
         }
+        this.cancelMutationProcessing();
+        this.mutationQueue = [];
         
         if (this.intersectionObserver) {
             this.intersectionObserver.disconnect();
             this.intersectionObserver = null;
         }
+        this.visibilityStates = new WeakMap();
         
-        console.log('[PestRecorder] Cleanup completed');
+        this.log('debug', 'Cleanup completed');
     }
 
     // Utility methods
@@ -377,10 +1634,25 @@ class PestRecorder {
 
     debounce(func, delay) {
         let timeoutId;
-        return function (...args) {
+        let pending = null;
+        
+        const debounced = function (...args) {
             clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => func.apply(this, args), delay);
+            pending = { context: this, args };
+            timeoutId = setTimeout(debounced.flush, delay);
         };
+        
+        // Run a pending call immediately
+        debounced.flush = () => {
+            clearTimeout(timeoutId);
+            if (pending) {
+                const { context, args } = pending;
+                pending = null;
+                func.apply(context, args);
+            }
+        };
+        
+        return debounced;
     }
 }
 /**
@@ -394,14 +1666,31 @@ Object.assign(PestRecorder.prototype, {
      * Handle click events
      */
     handleClick(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
+        
+        // The click that ends a drag gesture is part of the drag action
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
         
-        const selector = this.selectorGenerator.generate(event.target);
+        // Picking an option in a listbox, combobox or datepicker selects it
+        const widgetOption = this.getWidgetOption(target);
+        if (widgetOption) {
+            this.recordWidgetSelect(widgetOption);
+            return;
+        }
+        
+        // A click on something only a hover shows needs that hover first
+        this.recordRevealingHover(target);
+        
+        const selector = this.selectorGenerator.generate(target);
         
         this.recordAction('click', {
             selector,
-            tagName: event.target.tagName.toLowerCase(),
-            text: this.getElementText(event.target),
+            tagName: target.tagName.toLowerCase(),
+            text: this.getElementText(target),
             coordinates: {
                 x: event.clientX,
                 y: event.clientY
@@ -412,64 +1701,87 @@ Object.assign(PestRecorder.prototype, {
                 alt: event.altKey,
                 meta: event.metaKey
             }
-        });
+        }, target);
+        
+        this.recordLinkPopup(event, target);
     },
 
     /**
      * Handle double-click events
      */
     handleDoubleClick(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        const selector = this.selectorGenerator.generate(target);
         
         this.recordAction('dblclick', {
             selector,
-            tagName: event.target.tagName.toLowerCase(),
-            text: this.getElementText(event.target)
-        });
+            tagName: target.tagName.toLowerCase(),
+            text: this.getElementText(target)
+        }, target);
     },
 
     /**
      * Handle right-click events
      */
     handleRightClick(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        const selector = this.selectorGenerator.generate(target);
         
         this.recordAction('rightclick', {
             selector,
-            tagName: event.target.tagName.toLowerCase(),
-            text: this.getElementText(event.target)
-        });
+            tagName: target.tagName.toLowerCase(),
+            text: this.getElementText(target)
+        }, target);
     },
 
     /**
      * Handle input events (debounced)
      */
-    handleInput(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+    handleInput(event, target = this.resolveEventTarget(event)) {
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
+        
+        // File inputs are recorded as attach actions on change
+        if (this.isFileInput(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
-        const value = this.sanitizeValue(event.target.value, event.target.type);
+        if (target.isContentEditable) {
+            this.recordEdit(this.getEditorRoot(target));
+            return;
+        }
+        
+        const selector = this.selectorGenerator.generate(target);
+        const value = this.sanitizeValue(target.value, target);
         
         this.recordAction('input', {
             selector,
             value,
-            inputType: event.target.type,
-            tagName: event.target.tagName.toLowerCase()
-        });
+            inputType: target.type,
+            tagName: target.tagName.toLowerCase()
+        }, target);
     },
 
     /**
      * Handle change events (select, checkbox, radio)
      */
     handleChange(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
+
+        // Input still on the debounce would otherwise arrive after the actions that follow the change
+        this.inputDebounce.flush();
+
+        if (this.isFileInput(target)) {
+            this.recordFileAttach(target, target.files);
+            return;
+        }
         
-        const selector = this.selectorGenerator.generate(event.target);
-        const target = event.target;
+        // Widgets such as Choices and Tom Select update the hidden select they replace themselves
+        if (target.tagName === 'SELECT' && !event.isTrusted && this.isHiddenControl(target)) return;
+        
+        const selector = this.selectorGenerator.generate(target);
         
         let data = {
             selector,
@@ -481,42 +1793,51 @@ Object.assign(PestRecorder.prototype, {
             data.checked = target.checked;
             data.value = target.value;
         } else if (target.tagName.toLowerCase() === 'select') {
-            data.value = target.value;
+            data.value = this.sanitizeValue(target.value, target);
             data.selectedIndex = target.selectedIndex;
-            data.selectedText = target.options[target.selectedIndex]?.text;
+            data.selectedText = this.sanitizeValue(target.options[target.selectedIndex]?.text, target);
+            
+            if (target.multiple) {
+                const selected = Array.from(target.selectedOptions);
+                data.multiple = true;
+                data.values = selected.map(option => this.sanitizeValue(option.value, target));
+                data.selectedTexts = selected.map(option => this.sanitizeValue(option.text, target));
+            }
         } else {
-            data.value = this.sanitizeValue(target.value, target.type);
+            data.value = this.sanitizeValue(target.value, target);
         }
         
-        this.recordAction('change', data);
+        this.recordAction('change', data, target);
     },
 
     /**
      * Handle focus events
      */
     handleFocus(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        const selector = this.selectorGenerator.generate(target);
         
         this.recordAction('focus', {
             selector,
-            tagName: event.target.tagName.toLowerCase()
-        });
+            tagName: target.tagName.toLowerCase()
+        }, target);
     },
 
     /**
      * Handle blur events
      */
     handleBlur(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.shouldIgnoreElement(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        const selector = this.selectorGenerator.generate(target);
         
         this.recordAction('blur', {
             selector,
-            tagName: event.target.tagName.toLowerCase()
-        });
+            tagName: target.tagName.toLowerCase()
+        }, target);
     },
 
     /**
@@ -525,14 +1846,14 @@ Object.assign(PestRecorder.prototype, {
     handleSubmit(event) {
         if (!this.isRecording) return;
         
-        const form = event.target;
+        const form = this.resolveEventTarget(event);
         const selector = this.selectorGenerator.generate(form);
         
         // Capture form data
         const formData = new FormData(form);
         const data = {};
         for (let [key, value] of formData.entries()) {
-            data[key] = this.sanitizeValue(value);
+            data[key] = typeof value === 'string' ? this.sanitizeValue(value, this.getFormField(form, key)) : value.name;
         }
         
         this.recordAction('submit', {
@@ -540,28 +1861,34 @@ Object.assign(PestRecorder.prototype, {
             action: form.action,
             method: form.method,
             data: data
-        });
+        }, form);
+        
+        this.recordFormPopup(event, form);
     },
 
     /**
-     * Handle keyboard shortcuts
+     * Handle keyboard shortcuts and navigation keys
+     *
+     * Text entry is left to input events; only keys that change behavior are recorded.
      */
     handleKeydown(event) {
-        if (!this.isRecording) return;
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || !target || this.shouldIgnoreElement(target)) return;
         
-        // Only record significant keyboard shortcuts
-        if (event.ctrlKey || event.metaKey || event.altKey) {
-            this.recordAction('keydown', {
-                key: event.key,
-                code: event.code,
-                modifiers: {
-                    ctrl: event.ctrlKey,
-                    shift: event.shiftKey,
-                    alt: event.altKey,
-                    meta: event.metaKey
-                }
-            });
+        if (!this.isNavigationKey(event.key)) {
+            // Only record significant keyboard shortcuts
+            const isShortcut = event.ctrlKey || event.metaKey || event.altKey;
+            if (isShortcut && this.config.captureKeyboardShortcuts && !['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) {
+                this.recordKey(event, target, 'shortcut');
+            }
+            return;
         }
+        
+        if (!this.config.captureNavigationKeys) return;
+        
+        // Decide once the key's default action and the page's own handlers have run
+        this.pendingKeys.push({ event, target, valueBefore: this.getEditableValue(target) });
+        setTimeout(() => this.settlePendingKeys(), 0);
     },
 
     /**
@@ -578,31 +1905,43 @@ Object.assign(PestRecorder.prototype, {
     },
 
     /**
-     * Handle mouse enter events
+     * Handle mouseover events
+     * The hovered element only becomes a candidate; see collectHoverEffect()
+     * for when its hover is recorded.
      */
-    handleMouseEnter(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+    handleMouseOver(event) {
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || this.isPaused || this.isReplaying || this.shouldIgnoreElement(target)) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        // DOM changes so far are the effect of the hovers before this one
+        this.flushMutations();
+        this.leaveHovers(target);
         
-        this.recordAction('hover', {
-            selector,
-            action: 'enter'
+        // Elements around a hovered candidate are covered by its hover already
+        const element = this.getHoverTarget(target);
+        if (this.hoverStack.some(candidate => candidate.element === element || element.contains(candidate.element))) return;
+        
+        this.hoverStack.push({
+            element,
+            since: Date.now(),
+            recorded: false,
+            interrupted: false,
+            revealed: new Set(),
+            expanded: new Set()
         });
     },
 
     /**
-     * Handle mouse leave events
+     * Handle mouseout events, which only matter when the pointer leaves the page
      */
-    handleMouseLeave(event) {
-        if (!this.isRecording || this.shouldIgnoreElement(event.target)) return;
+    handleMouseOut(event) {
+        if (!this.isRecording) return;
         
-        const selector = this.selectorGenerator.generate(event.target);
+        // Effects of the hover being left are seen before the page undoes them
+        this.flushMutations();
+        if (event.relatedTarget) return;
         
-        this.recordAction('hover', {
-            selector,
-            action: 'leave'
-        });
+        this.leaveHovers(null);
     },
 
     /**
@@ -611,9 +1950,27 @@ Object.assign(PestRecorder.prototype, {
     handleBeforeUnload(event) {
         if (!this.isRecording) return;
         
+        // Record input still waiting on the debounce before the page goes away
+        this.inputDebounce.flush();
+        
         this.recordAction('beforeunload', {
             url: window.location.href
         });
+        
+        // The page's own listeners ran first and may have asked to confirm leaving
+        if (this.config.captureDialogs && this.isUnloadPrompt(event)) {
+            this.pendingUnloadDialog = this.startDialog('beforeunload', '');
+        }
+        
+        this.persistState();
+    },
+
+    /**
+     * Save the session once the page is really going away
+     */
+    handlePageHide() {
+        this.resolveUnloadDialog(true);
+        this.persistState();
     },
 
     /**
@@ -627,73 +1984,181 @@ Object.assign(PestRecorder.prototype, {
             url: window.location.href,
             state: event.state
         });
+        this.selectorCheck();
     },
 
     /**
      * Setup MutationObserver for dynamic content
      */
     setupMutationObserver() {
+        // Only queued here; see processMutations()
         this.mutationObserver = new MutationObserver((mutations) => {
             if (!this.isRecording) return;
             
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    // Record significant DOM changes
-                    const addedElements = Array.from(mutation.addedNodes)
-                        .filter(node => node.nodeType === Node.ELEMENT_NODE)
-                        .filter(element => this.isSignificantElement(element));
-                    
-                    if (addedElements.length > 0) {
-                        this.recordAction('dom:added', {
-                            count: addedElements.length,
-                            target: this.selectorGenerator.generate(mutation.target),
-                            elements: addedElements.map(el => ({
-                                tagName: el.tagName.toLowerCase(),
-                                selector: this.selectorGenerator.generate(el)
-                            }))
-                        });
-                    }
-                }
-            });
+            this.mutationQueue.push({ mutations, observedAt: Date.now() });
+            this.scheduleMutationProcessing();
         });
         
         this.mutationObserver.observe(document.body, {
             childList: true,
-            subtree: true
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: ['hidden', 'style', 'class', 'aria-busy', 'aria-expanded', ...this.getSelectorAttributes()]
         });
     },
 
+    /**
+     * Handle a single DOM mutation
+     *
+     * @param {MutationRecord} mutation
+     * @param {number} observedAt - When the observer saw it, which may be well before it is processed
+     */
+    handleMutation(mutation, observedAt) {
+        // Changes following a user action become wait hints for it
+        if (this.settleWindow) {
+            this.collectDomChange(mutation);
+        }
+        
+        if (this.hoverStack.length > 0 || this.hoverLeaves.length > 0) {
+            this.collectHoverEffect(mutation, observedAt);
+        }
+        
+        // Re-check recorded selectors once the page has settled
+        if (this.isSelectorMutation(mutation)) {
+            this.selectorCheck();
+        }
+        
+        // Removed elements are no longer watched for visibility
+        if (mutation.type === 'childList' && mutation.removedNodes.length > 0) {
+            mutation.removedNodes.forEach(node => this.unobserveVisibility(node));
+        }
+        
+        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+            const addedNodes = Array.from(mutation.addedNodes)
+                .filter(node => node.nodeType === Node.ELEMENT_NODE);
+            
+            // Follow newly added iframes and watch the visibility of new elements
+            addedNodes.forEach(node => {
+                this.attachFrameListeners(node);
+                this.observeVisibility(node);
+            });
+            
+            // Record significant DOM changes
+            const addedElements = addedNodes
+                .filter(element => this.isSignificantElement(element));
+            
+            if (addedElements.length > 0 && !this.config.inferWaits) {
+                this.recordAction('dom:added', {
+                    count: addedElements.length,
+                    target: this.selectorGenerator.generate(mutation.target),
+                    elements: addedElements.map(el => ({
+                        tagName: el.tagName.toLowerCase(),
+                        selector: this.selectorGenerator.generate(el)
+                    }))
+                }, mutation.target);
+            }
+        }
+    },
+
     /**
      * Setup IntersectionObserver for viewport tracking
+     *
+     * Elements rendered later are observed as the mutation observer sees them
+     * added, and released when they are removed; see handleMutation().
      */
     setupIntersectionObserver() {
         this.intersectionObserver = new IntersectionObserver((entries) => {
             if (!this.isRecording) return;
             
-            entries.forEach((entry) => {
-                if (this.isSignificantElement(entry.target)) {
-                    this.recordAction('visibility', {
-                        selector: this.selectorGenerator.generate(entry.target),
-                        visible: entry.isIntersecting,
-                        intersectionRatio: entry.intersectionRatio
-                    });
-                }
-            });
+            entries.forEach(entry => this.updateVisibility(entry.target, entry.isIntersecting));
         }, {
-            threshold: [0, 0.5, 1]
+            threshold: 0
         });
         
-        // Observe significant elements
-        document.querySelectorAll('button, a, input, select, textarea, [role="button"]')
-            .forEach(el => this.intersectionObserver.observe(el));
+        this.observeVisibility(document.body);
+    },
+
+    /**
+     * Start watching the visibility of significant elements in a subtree
+     */
+    observeVisibility(root) {
+        if (!this.intersectionObserver || root?.nodeType !== Node.ELEMENT_NODE) return;
+
+        const elements = Array.from(root.querySelectorAll(this.visibilitySelector));
+        if (root.matches(this.visibilitySelector)) {
+            elements.unshift(root);
+        }
+
+        elements.forEach((element) => {
+            const state = this.visibilityStates.get(element) || { observed: false, shown: false, hidden: false };
+            if (state.observed || this.shouldIgnoreElement(element)) return;
+
+            state.observed = true;
+            this.visibilityStates.set(element, state);
+            this.intersectionObserver.observe(element);
+        });
+    },
+
+    /**
+     * Stop watching the elements of a removed subtree, recording those that
+     * disappeared while shown as hidden
+     */
+    unobserveVisibility(root) {
+        if (!this.intersectionObserver || root.nodeType !== Node.ELEMENT_NODE) return;
+
+        const elements = [root, ...root.querySelectorAll(this.visibilitySelector)];
+        elements.forEach((element) => {
+            const state = this.visibilityStates.get(element);
+
+            // Moved elements are still observed where they are now
+            if (!state?.observed || element.isConnected) return;
+
+            state.observed = false;
+            this.intersectionObserver.unobserve(element);
+
+            // The element is detached, so only selectors that do not depend on its position work
+            const selector = this.getDetachedSelector(element);
+            if (state.shown && !state.hidden && selector) {
+                state.hidden = true;
+                this.recordAction('visibility', { selector, visible: false, removed: true });
+            }
+        });
+    },
+
+    /**
+     * Record the first time an element is shown, and the first time it is hidden after that
+     *
+     * Threshold crossings in between, and later showings, are left out.
+     */
+    updateVisibility(element, visible) {
+        const state = this.visibilityStates.get(element);
+        if (!state?.observed || !this.isSignificantElement(element)) return;
+
+        if (visible ? state.shown : (!state.shown || state.hidden)) return;
+
+        if (visible) {
+            state.shown = true;
+        } else {
+            state.hidden = true;
+        }
+
+        this.recordAction('visibility', {
+            selector: this.selectorGenerator.generate(element),
+            visible
+        });
     },
 
     /**
      * Patch History API to capture SPA navigation
      */
     patchHistoryAPI() {
+        if (this.originalHistory) return;
+
         const originalPushState = history.pushState;
         const originalReplaceState = history.replaceState;
+        this.originalHistory = { pushState: originalPushState, replaceState: originalReplaceState };
         
         history.pushState = (...args) => {
             if (this.isRecording) {
@@ -702,6 +2167,7 @@ Object.assign(PestRecorder.prototype, {
                     url: args[2] || window.location.href,
                     state: args[0]
                 });
+                this.selectorCheck();
             }
             return originalPushState.apply(history, args);
         };
@@ -713,65 +2179,4182 @@ Object.assign(PestRecorder.prototype, {
                     url: args[2] || window.location.href,
                     state: args[0]
                 });
+                this.selectorCheck();
             }
             return originalReplaceState.apply(history, args);
         };
     },
 
     /**
-     * Helper methods
+     * Session persistence across full page loads
      */
-    
+
     /**
-     * Check if element should be ignored
+     * Save the session's counters and the actions PHP has not received yet to
+     * sessionStorage, so the recorder injected into the next page can continue
+     * where this one stopped
+     *
+     * The history of delivered actions stays behind: PHP has it already, and
+     * it would make each page load of a long session slower than the last.
      */
-    shouldIgnoreElement(element) {
-        // Ignore script tags, style tags, and recorder-related elements
-        const ignoredTags = ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE'];
-        if (ignoredTags.includes(element.tagName)) return true;
-        
-        // Ignore elements with specific classes or data attributes
-        if (element.classList.contains('pest-recorder-ignore')) return true;
-        if (element.dataset.pestIgnore) return true;
-        
-        return false;
+    persistState() {
+        if (!this.isRecording) return;
+
+        this.flushMutations();
+        this.normalizer.settle();
+
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({
+                sessionId: this.sessionId,
+                nextActionId: this.nextActionId,
+                nextPopupId: this.nextPopupId,
+                nextSequence: this.nextSequence,
+                unacknowledged: this.unacknowledged,
+                startedAt: this.startedAt,
+                droppedActions: this.droppedActions,
+                rateLimitedActions: this.rateLimitedActions,
+                isPaused: this.isPaused,
+                pending: window.__pestRecordingActions || [],
+                savedAt: Date.now()
+            }));
+        } catch (e) {
+            this.log('warn', 'Failed to persist session:', e);
+        }
     },
 
     /**
-     * Check if element is significant for tracking
+     * Read and consume the state persisted by the previous page
+     *
+     * @returns {Object|null} The persisted state, or null if there is none or it expired
      */
-    isSignificantElement(element) {
-        const significantTags = ['BUTTON', 'A', 'INPUT', 'SELECT', 'TEXTAREA', 'FORM'];
-        return significantTags.includes(element.tagName) || 
-               element.hasAttribute('role') || 
-               element.hasAttribute('data-testid');
+    loadPersistedState() {
+        try {
+            const raw = sessionStorage.getItem(this.storageKey);
+            if (!raw) return null;
+
+            sessionStorage.removeItem(this.storageKey);
+            const state = JSON.parse(raw);
+
+            if (!state.sessionId || Date.now() - state.savedAt > this.config.timeout * 1000) {
+                return null;
+            }
+
+            return {
+                sessionId: state.sessionId,
+                nextActionId: state.nextActionId || 1,
+                nextPopupId: state.nextPopupId || 1,
+                nextSequence: state.nextSequence || 1,
+                unacknowledged: Array.isArray(state.unacknowledged) ? state.unacknowledged : [],
+                startedAt: state.startedAt || Date.now(),
+                droppedActions: state.droppedActions || 0,
+                rateLimitedActions: state.rateLimitedActions || {},
+                isPaused: Boolean(state.isPaused),
+                pending: Array.isArray(state.pending) ? state.pending : []
+            };
+        } catch (e) {
+            this.log('warn', 'Failed to restore session:', e);
+            return null;
+        }
     },
 
     /**
-     * Get text content of element (truncated)
+     * Remove any persisted state so the next page starts a fresh session
      */
-    getElementText(element) {
-        let text = element.textContent || element.value || element.placeholder || '';
-        return text.trim().substring(0, 100);
+    clearPersistedState() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (e) {
+            // Storage unavailable, nothing to clear
+        }
     },
 
     /**
-     * Sanitize sensitive values
+     * Hand the actions the previous page could not deliver to PHP and mark the page change
      */
-    sanitizeValue(value, inputType = 'text') {
-        if (typeof value !== 'string') return value;
-        
-        // Mask password fields
-        if (inputType === 'password') {
-            return '*'.repeat(value.length);
+    resumePersistedSession() {
+        if (window.__pestRecordingActions) {
+            window.__pestRecordingActions.push(...this.restoredState.pending);
         }
-        
-        // Mask potentially sensitive fields based on name/id patterns
-        const sensitivePatterns = /password|ssn|social|credit|card|cvv|pin/i;
-        if (sensitivePatterns.test(value)) {
-            return '*'.repeat(value.length);
+        this.restoredState = null;
+        this.schedulePush();
+
+        // Recorded even while paused, so PHP knows the session continued
+        this.emitAction('session:restore', {
+            sessionId: this.sessionId,
+            url: window.location.href,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Long sessions
+     */
+
+    /**
+     * Stop the session once the configured timeout has passed since it started,
+     * counting the time spent on earlier pages
+     */
+    scheduleSessionTimeout() {
+        clearTimeout(this.timeoutTimer);
+        this.timeoutTimer = null;
+        if (!(this.config.timeout > 0)) return;
+
+        // setTimeout fires at once for delays beyond 2^31 - 1 milliseconds
+        const remaining = this.config.timeout * 1000 - (Date.now() - this.startedAt);
+        this.timeoutTimer = setTimeout(() => {
+            this.timeoutTimer = null;
+            this.log('warn', `Session ${this.sessionId} reached its timeout of ${this.config.timeout} seconds`);
+            this.stop('timeout');
+        }, Math.min(Math.max(remaining, 0), 2147483647));
+    },
+
+    /**
+     * Keep an action in the bounded buffer and queue it for PHP
+     *
+     * Both hold at most maxActionsPerSession actions. The oldest are dropped
+     * first; those PHP never polled are counted in droppedActions. Session
+     * lifecycle actions are never dropped, since PHP builds the test around them.
+     * Actions are numbered as they are queued, so dropped ones leave a gap in
+     * the sequence that PHP reports as missing.
+     */
+    bufferAction(action) {
+        const limit = this.config.maxActionsPerSession;
+
+        this.actions.push(action);
+        if (limit > 0 && this.actions.length > limit) {
+            this.evictOldest(this.actions, limit);
         }
-        
-        return value;
-    }
-});
+
+        // Send to PHP process via polling array
+        const queue = window.__pestRecordingActions;
+        if (!queue) return;
+
+        action.sequence = this.nextSequence++;
+        queue.push(action);
+        if (limit > 0 && queue.length > limit) {
+            if (this.droppedActions === 0) {
+                this.log('warn', `More than ${limit} actions waiting to be polled, dropping the oldest`);
+            }
+            this.droppedActions += this.evictOldest(queue, limit);
+        }
+
+        this.schedulePush();
+    },
+
+    /**
+     * Drop the oldest actions from a list until it holds at most limit,
+     * skipping session lifecycle actions such as session:start
+     *
+     * @returns {number} How many actions were dropped
+     */
+    evictOldest(list, limit) {
+        let dropped = 0;
+
+        for (let i = 0; i < list.length && list.length > limit;) {
+            if (list[i].type.startsWith('session:')) {
+                i++;
+            } else {
+                list.splice(i, 1);
+                dropped++;
+            }
+        }
+
+        return dropped;
+    },
+
+    /**
+     * Check, and count, whether an action type has used up its rate limit for the current second
+     */
+    isRateLimited(type) {
+        const limit = this.config.actionRateLimit;
+        if (!(limit > 0) || !this.rateLimitedTypes.includes(type)) return false;
+
+        const now = Date.now();
+        let bucket = this.rateWindows.get(type);
+        if (!bucket || now - bucket.start >= 1000) {
+            bucket = { start: now, count: 0 };
+            this.rateWindows.set(type, bucket);
+        }
+
+        if (bucket.count < limit) {
+            bucket.count++;
+            return false;
+        }
+
+        this.rateLimitedActions[type] = (this.rateLimitedActions[type] || 0) + 1;
+        return true;
+    },
+
+    /**
+     * Process queued DOM mutations when the browser is idle, so busy pages
+     * such as live-updating tables are not slowed down by the recorder
+     */
+    scheduleMutationProcessing() {
+        if (this.mutationCallback) return;
+
+        const run = (deadline) => {
+            this.mutationCallback = null;
+            this.processMutations(deadline);
+        };
+
+        this.mutationCallback = typeof window.requestIdleCallback === 'function'
+            ? { idle: window.requestIdleCallback(run, { timeout: 200 }) }
+            : { timer: setTimeout(run, 50) };
+    },
+
+    /**
+     * Cancel a scheduled mutation batch
+     */
+    cancelMutationProcessing() {
+        const callback = this.mutationCallback;
+        if (!callback) return;
+
+        if (callback.idle !== undefined) {
+            window.cancelIdleCallback(callback.idle);
+        } else {
+            clearTimeout(callback.timer);
+        }
+        this.mutationCallback = null;
+    },
+
+    /**
+     * Handle queued mutations batch by batch until the idle period runs out
+     *
+     * @param {IdleDeadline|null} deadline - Without one, everything queued is handled
+     */
+    processMutations(deadline = null) {
+        if (this.processingMutations) return;
+
+        this.processingMutations = true;
+        try {
+            while (this.mutationQueue.length > 0 && this.isRecording) {
+                const { mutations, observedAt } = this.mutationQueue.shift();
+                mutations.forEach(mutation => this.handleMutation(mutation, observedAt));
+
+                if (deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0) break;
+            }
+        } finally {
+            this.processingMutations = false;
+        }
+
+        if (this.mutationQueue.length > 0) {
+            this.scheduleMutationProcessing();
+        }
+    },
+
+    /**
+     * Handle every mutation observed so far right away, e.g. before recording an action
+     */
+    flushMutations() {
+        if (!this.mutationObserver || this.processingMutations) return;
+
+        const records = this.mutationObserver.takeRecords();
+        if (records.length > 0) {
+            this.mutationQueue.push({ mutations: records, observedAt: Date.now() });
+        }
+        if (this.mutationQueue.length === 0) return;
+
+        this.cancelMutationProcessing();
+        this.processMutations();
+    },
+
+    /**
+     * Transport
+     */
+
+    /**
+     * Hand PHP the next batch of actions, in the order they were queued
+     *
+     * Actions stay unacknowledged until PHP confirms their sequence number, and
+     * are sent again with every batch until then, so a failed poll or push, or
+     * a page change in between, loses nothing. PHP drops the duplicates.
+     * Actions the communication script queues itself, such as heartbeats,
+     * carry no sequence number and are sent once.
+     *
+     * @param {number} limit - Most actions in the batch
+     * @param {number} acknowledged - Highest sequence number PHP has received
+     * @returns {{stream: string, actions: Object[]}} The batch, with this session's id as the stream PHP numbers it in
+     */
+    takeBatch(limit, acknowledged = 0) {
+        this.acknowledge(acknowledged);
+
+        const queue = window.__pestRecordingActions || [];
+        const unnumbered = [];
+        while (this.unacknowledged.length < limit && queue.length > 0) {
+            const action = queue.shift();
+            if (action.sequence === undefined) {
+                unnumbered.push(action);
+            } else {
+                this.unacknowledged.push(action);
+            }
+        }
+
+        return { stream: this.sessionId, actions: [...this.unacknowledged.slice(0, limit), ...unnumbered] };
+    },
+
+    /**
+     * Forget the actions PHP has confirmed receiving
+     */
+    acknowledge(sequence) {
+        if (!(sequence > 0)) return;
+
+        this.unacknowledged = this.unacknowledged.filter(action => action.sequence > sequence);
+    },
+
+    /**
+     * Push actions to PHP as they are recorded, when the page exposes the push binding
+     */
+    schedulePush(delay = 0) {
+        if (!this.config.pushTransport || this.pushDisabled || this.pushTimer || this.pushInFlight) return;
+        if (typeof window.__pestRecordingPush !== 'function') return;
+
+        this.pushTimer = setTimeout(() => {
+            this.pushTimer = null;
+            this.pushBatch();
+        }, delay);
+    },
+
+    /**
+     * Send one batch through the push binding and wait for PHP's acknowledgement
+     *
+     * Failed or unanswered pushes are retried with backoff; after pushRetries
+     * failures in a row the recorder leaves delivery to polling.
+     */
+    pushBatch() {
+        const push = window.__pestRecordingPush;
+        if (typeof push !== 'function' || this.pushInFlight) return;
+
+        const batch = this.takeBatch(50);
+        if (batch.actions.length === 0) return;
+
+        this.pushInFlight = true;
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('No acknowledgement within 5000 ms')), 5000);
+        });
+
+        Promise.race([Promise.resolve().then(() => push(batch)), timeout])
+            .then((result) => {
+                const acknowledged = Number(result?.acknowledged ?? result) || 0;
+                if (acknowledged < batch.actions[0].sequence) {
+                    throw new Error('The batch was not acknowledged');
+                }
+
+                this.pushFailures = 0;
+                this.acknowledge(acknowledged);
+            })
+            .catch((error) => {
+                this.pushFailures++;
+                if (this.pushFailures >= this.config.pushRetries) {
+                    this.log('warn', 'Push transport failed, falling back to polling:', error);
+                    this.pushDisabled = true;
+                }
+            })
+            .finally(() => {
+                clearTimeout(timer);
+                this.pushInFlight = false;
+
+                // Actions recorded meanwhile, or still unacknowledged, go next
+                if (this.unacknowledged.length > 0 || window.__pestRecordingActions?.length > 0) {
+                    this.schedulePush(this.pushFailures > 0 ? Math.min(250 * 2 ** (this.pushFailures - 1), 5000) : 0);
+                }
+            });
+    },
+
+    /**
+     * PHP-to-browser command channel
+     */
+
+    /**
+     * Process commands PHP pushes to window.__pestRecordingMessages
+     *
+     * Pushes are handled immediately through a patched push(); the interval
+     * picks up messages on arrays PHP replaced since, and patches those too.
+     */
+    setupCommandChannel() {
+        window.__pestRecordingMessages = window.__pestRecordingMessages || [];
+
+        this.processCommands();
+        this.commandInterval = setInterval(() => this.processCommands(), 250);
+    },
+
+    /**
+     * Drain the message queue and hook its push() for immediate delivery
+     */
+    processCommands() {
+        const queue = window.__pestRecordingMessages;
+        if (!Array.isArray(queue)) return;
+
+        if (!Object.prototype.hasOwnProperty.call(queue, 'push')) {
+            queue.push = (...messages) => {
+                const length = Array.prototype.push.apply(queue, messages);
+                this.processCommands();
+                return length;
+            };
+        }
+
+        while (queue.length > 0 && this.isRecording) {
+            this.handleCommand(queue.shift());
+        }
+    },
+
+    /**
+     * Apply a single command and acknowledge it
+     *
+     * Supported commands: ping, pause, resume, stop, flush, updateConfig, highlight
+     */
+    handleCommand(message) {
+        const { id = null, type, data = {} } = message || {};
+        const acknowledge = (success, details) => this.emitAction('command:ack', {
+            commandId: id,
+            command: type,
+            success,
+            ...details
+        });
+
+        try {
+            switch (type) {
+                case 'ping':
+                    acknowledge(true, { result: this.getStatus() });
+                    break;
+                case 'pause':
+                    this.pause();
+                    acknowledge(true, { result: this.getStatus() });
+                    break;
+                case 'resume':
+                    this.resume();
+                    acknowledge(true, { result: this.getStatus() });
+                    break;
+                case 'stop':
+                    // Acknowledge first: nothing is recorded once stopped
+                    acknowledge(true, { result: { ...this.getStatus(), isRecording: false } });
+                    this.stop();
+                    break;
+                case 'flush':
+                    this.inputDebounce.flush();
+                    this.normalizer.settle();
+                    acknowledge(true, { result: { pendingActions: (window.__pestRecordingActions?.length ?? 0) + this.unacknowledged.length } });
+                    break;
+                case 'updateConfig':
+                    this.updateConfig(data.config || data);
+                    acknowledge(true, { result: { config: this.config } });
+                    break;
+                case 'highlight': {
+                    const matches = this.selectorGenerator.resolveAll(data.selector, data.frame || []).length;
+                    const highlighted = this.toolbar ? this.toolbar.highlight(data.selector, data.frame || []) : false;
+                    acknowledge(matches > 0, { result: { matches, highlighted } });
+                    break;
+                }
+                default:
+                    acknowledge(false, { error: `Unknown command: ${type}` });
+            }
+        } catch (e) {
+            acknowledge(false, { error: e.message });
+        }
+    },
+
+    /**
+     * Get a summary of the recorder state
+     */
+    getStatus() {
+        return {
+            sessionId: this.sessionId,
+            isRecording: this.isRecording,
+            isPaused: this.isPaused,
+            actionCount: this.actions.length,
+            droppedActions: this.droppedActions,
+            rateLimitedActions: this.rateLimitedActions
+        };
+    },
+
+    /**
+     * Merge configuration changes into a running recorder
+     */
+    updateConfig(changes) {
+        const previous = this.config;
+        this.config = { ...this.config, ...changes };
+
+        if ('selectorPriority' in changes) {
+            this.selectorGenerator = new SelectorGenerator(this.config.selectorPriority);
+        }
+
+        if ('redaction' in changes) {
+            this.redactor = new FieldRedactor(this.config.redaction, this.log.bind(this));
+        }
+
+        if ('networkIgnore' in changes) {
+            this.networkIgnorePatterns = this.compileIgnorePatterns(this.config.networkIgnore);
+        }
+
+        if ('timeout' in changes && this.isRecording) {
+            this.scheduleSessionTimeout();
+        }
+
+        // Options that decide which listeners are attached
+        const listenerOptions = ['captureKeyboardShortcuts', 'captureNavigationKeys', 'includeHoverActions', 'recordScrollPosition'];
+        if (listenerOptions.some(option => option in changes && changes[option] !== previous[option])) {
+            this.reattachEventListeners();
+        }
+
+        if (this.config.showToolbar && !this.toolbar) {
+            this.toolbar = new RecorderToolbar(this);
+            this.toolbar.mount();
+        } else if (!this.config.showToolbar && this.toolbar) {
+            this.toolbar.unmount();
+            this.toolbar = null;
+        }
+    },
+
+    /**
+     * Remove and re-attach all event listeners, e.g. after a configuration change
+     */
+    reattachEventListeners() {
+        this.eventListeners.forEach((listeners, target) => {
+            listeners.forEach(({ event, handler, useCapture }) => {
+                target.removeEventListener(event, handler, useCapture);
+            });
+        });
+        this.eventListeners.clear();
+        this.shadowRoots.clear();
+        this.frames.clear();
+        this.frameDocuments.clear();
+
+        this.attachEventListeners();
+        this.attachShadowRootListeners(document);
+        this.attachFrameListeners(document);
+    },
+
+    /**
+     * Shadow DOM support
+     */
+
+    /**
+     * Resolve the element an event actually originated from
+     *
+     * Events leaving a shadow root are retargeted to its host, so the first
+     * element in the composed path is used instead. Shadow roots seen along
+     * the way get their own listeners for events that do not cross the
+     * shadow boundary (change, submit).
+     */
+    resolveEventTarget(event) {
+        const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+
+        path.filter(node => this.selectorGenerator.isShadowRoot(node))
+            .forEach(root => this.listenToShadowRoot(root));
+
+        return path.find(node => node.nodeType === Node.ELEMENT_NODE) || event.target;
+    },
+
+    /**
+     * Attach listeners to every open shadow root below the given root
+     */
+    attachShadowRootListeners(root) {
+        root.querySelectorAll('*').forEach((element) => {
+            if (element.shadowRoot) {
+                this.listenToShadowRoot(element.shadowRoot);
+                this.attachShadowRootListeners(element.shadowRoot);
+            }
+        });
+    },
+
+    /**
+     * Listen for non-composed events inside a single shadow root
+     */
+    listenToShadowRoot(root) {
+        if (!this.isRecording || this.shadowRoots.has(root)) return;
+
+        this.shadowRoots.add(root);
+        this.addEventListener(root, 'change', this.handleChange.bind(this));
+        this.addEventListener(root, 'submit', this.handleSubmit.bind(this));
+    },
+
+    /**
+     * File uploads
+     */
+
+    /**
+     * Handle files dropped on a drop zone
+     */
+    handleDrop(event) {
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || !target || this.shouldIgnoreElement(target)) return;
+
+        const files = event.dataTransfer?.files;
+        if (!files || files.length === 0) {
+            this.recordNativeDrop(event, target);
+            return;
+        }
+
+        // Files dropped on a file input itself arrive through its change event
+        if (this.isFileInput(target)) return;
+
+        // Prefer the drop zone's own file input, which attach() can target directly
+        const { dropZone, input } = this.findDropZone(target);
+        this.recordFileAttach(input || dropZone, files, dropZone);
+    },
+
+    /**
+     * Record an attach action with the metadata of the given files
+     * The action is recorded right away, in order; captured contents follow once read.
+     *
+     * @param {Element} element - The file input, or the drop zone without one
+     * @param {FileList} fileList - The attached files
+     * @param {Element|null} dropZone - The drop zone, when the files were dropped
+     */
+    recordFileAttach(element, fileList, dropZone = null) {
+        const selector = this.selectorGenerator.generate(element);
+        const fileArray = Array.from(fileList);
+        const files = fileArray.map(file => this.describeFile(file));
+
+        const data = {
+            selector,
+            files,
+            multiple: this.isFileInput(element) ? element.multiple : files.length > 1,
+            tagName: element.tagName.toLowerCase()
+        };
+
+        if (dropZone) {
+            data.dropZone = this.selectorGenerator.generate(dropZone);
+        }
+
+        const previous = this.normalizer.lastDelivered;
+        this.recordAction('attach', data, element);
+
+        const action = this.normalizer.lastDelivered;
+        if (action !== previous && action?.type === 'attach') {
+            this.captureFileContents(action, fileArray).catch((e) => {
+                this.log('warn', 'Failed to capture file contents:', e);
+            });
+        }
+    },
+
+    /**
+     * Describe a file with a fixture reference
+     */
+    describeFile(file) {
+        return {
+            name: file.name,
+            size: file.size,
+            type: file.type || 'application/octet-stream',
+            fixture: `${this.config.fixtureDirectory.replace(/\/+$/, '')}/${file.name}`
+        };
+    },
+
+    /**
+     * Add the base64 contents of the attached files to an attach action, when enabled
+     * An attach PHP has not polled yet is updated in place; otherwise the
+     * contents follow as an attach:content action.
+     */
+    async captureFileContents(action, fileArray) {
+        if (!this.config.captureFileContents) return;
+
+        const contents = await Promise.all(fileArray.map(async (file) => {
+            if (file.size > this.config.maxFileContentSize) return null;
+
+            try {
+                return await this.readFileAsBase64(file);
+            } catch (e) {
+                this.log('warn', 'Failed to read file contents:', e);
+                return null;
+            }
+        }));
+
+        if (contents.every(content => content === null)) return;
+
+        const queued = this.isQueued(action);
+        action.data = {
+            ...action.data,
+            files: action.data.files.map((file, index) => (contents[index] === null ? file : { ...file, content: contents[index] }))
+        };
+
+        if (!queued && this.isRecording) {
+            this.emitAction('attach:content', {
+                actionId: action.id,
+                files: action.data.files.map(({ name, content }) => ({ name, content: content ?? null }))
+            });
+        }
+    },
+
+    /**
+     * Read a file as base64
+     */
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    },
+
+    /**
+     * Check if an element is an <input type="file">
+     */
+    isFileInput(element) {
+        return element?.tagName === 'INPUT' && element.type === 'file';
+    },
+
+    /**
+     * Find the drop zone around a drop target, and the file input it wraps or is labelled by
+     *
+     * @returns {{dropZone: Element, input: Element|null}} The drop target itself when no input is found
+     */
+    findDropZone(target) {
+        // Stop below the form, so an unrelated input elsewhere on the page is not picked
+        for (let element = target; element && !element.matches('form, body'); element = element.parentElement) {
+            const input = element.control || element.querySelector('input[type="file"]');
+            if (this.isFileInput(input)) {
+                return { dropZone: element, input };
+            }
+        }
+
+        return { dropZone: target, input: null };
+    },
+
+    /**
+     * Contenteditable and rich-text editors
+     */
+
+    /**
+     * Remember an editor's text before the first change of an edit
+     */
+    handleBeforeInput(event) {
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || !target?.isContentEditable) return;
+
+        const root = this.getEditorRoot(target);
+        if (!this.editorSnapshots.has(root)) {
+            this.editorSnapshots.set(root, this.getEditorText(root));
+        }
+    },
+
+    /**
+     * Record the content of an editor after debounced editing
+     */
+    recordEdit(root) {
+        if (this.shouldIgnoreElement(root)) return;
+
+        const text = this.getEditorText(root);
+        const previousText = this.editorSnapshots.has(root) ? this.editorSnapshots.get(root) : null;
+
+        // The next edit continues from here
+        this.editorSnapshots.set(root, text);
+
+        // A sensitive editor's content is replaced as a whole, never typed onto
+        if (this.redactor.isSensitive(root)) {
+            this.recordAction('edit', {
+                selector: this.selectorGenerator.generate(root),
+                text: this.sanitizeValue(text, root),
+                previousText: null,
+                editor: this.detectEditor(root),
+                tagName: root.tagName.toLowerCase()
+            }, root);
+            return;
+        }
+
+        this.recordAction('edit', {
+            selector: this.selectorGenerator.generate(root),
+            text,
+            previousText,
+            html: this.sanitizeHtml(root),
+            editor: this.detectEditor(root),
+            tagName: root.tagName.toLowerCase()
+        }, root);
+    },
+
+    /**
+     * Find the outermost contenteditable element around an edited node
+     */
+    getEditorRoot(element) {
+        let root = element;
+        while (root.parentElement?.isContentEditable) {
+            root = root.parentElement;
+        }
+        return root;
+    },
+
+    /**
+     * Get an editor's text, with blocks separated by newlines
+     */
+    getEditorText(root) {
+        // innerText keeps line breaks between paragraphs, where supported
+        const text = typeof root.innerText === 'string' ? root.innerText : root.textContent;
+        return text.replace(/\u00a0/g, ' ').replace(/\n+$/, '');
+    },
+
+    /**
+     * Identify well-known rich-text editors by their root element
+     */
+    detectEditor(root) {
+        if (root.tagName === 'TRIX-EDITOR') return 'trix';
+        if (root.classList.contains('ql-editor')) return 'quill';
+        if (root.classList.contains('ProseMirror')) return 'tiptap';
+        if (root.classList.contains('ck-editor__editable')) return 'ckeditor';
+        return 'contenteditable';
+    },
+
+    /**
+     * Get an editor's HTML without scripts, event handlers or inline styles
+     */
+    sanitizeHtml(root) {
+        const clone = root.cloneNode(true);
+
+        clone.querySelectorAll('script, style, iframe, object, embed').forEach(element => element.remove());
+        [clone, ...clone.querySelectorAll('*')].forEach(element => {
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                const isScriptUrl = ['href', 'src'].includes(name) && /^\s*javascript:/i.test(value);
+                if (name.startsWith('on') || name === 'style' || isScriptUrl) {
+                    element.removeAttribute(name);
+                }
+            });
+        });
+
+        return clone.innerHTML.trim();
+    },
+
+    /**
+     * Keyboard navigation
+     */
+
+    /**
+     * Check if a key is a non-text key that can change behavior
+     */
+    isNavigationKey(key) {
+        return [
+            'Enter', 'Tab', 'Escape', 'Backspace', 'Delete',
+            'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+            'PageUp', 'PageDown', 'Home', 'End'
+        ].includes(key);
+    },
+
+    /**
+     * Check if a navigation key did something a replayed test needs,
+     * rather than editing text or moving the caret, which input events already cover
+     *
+     * @param {KeyboardEvent} event - The dispatched event
+     * @param {Element} target - The element the key was pressed on
+     * @param {string|null} valueBefore - The target's text before the key
+     */
+    isKeyMeaningful(event, target, valueBefore) {
+        // The page handled the key itself
+        if (event.defaultPrevented) return true;
+
+        const field = this.getTextFieldKind(target);
+        if (!field) return true;
+
+        switch (event.key) {
+            case 'Backspace':
+            case 'Delete':
+                // Deleting text is covered by input; an unchanged value means the page reacted
+                return this.getEditableValue(target) === valueBefore;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End':
+                return false;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                // Single-line fields only react to these as comboboxes
+                return field === 'single' && this.isComboboxLike(target);
+            case 'Enter':
+            case 'PageUp':
+            case 'PageDown':
+                // In multi-line fields these insert a line or move the caret
+                return field === 'single';
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Get whether an element is a single-line or multi-line text field
+     *
+     * @returns {'single'|'multi'|null} null for anything that is not a text field
+     */
+    getTextFieldKind(element) {
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return 'multi';
+
+        const textTypes = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+        if (element.tagName === 'INPUT' && textTypes.includes(element.type)) return 'single';
+
+        return null;
+    },
+
+    /**
+     * Check if an input offers suggestions navigated with the arrow keys
+     */
+    isComboboxLike(element) {
+        return element.getAttribute('role') === 'combobox'
+            || element.hasAttribute('aria-autocomplete')
+            || element.hasAttribute('aria-activedescendant')
+            || element.hasAttribute('list');
+    },
+
+    /**
+     * Get the text of an editable element, or null for other elements
+     */
+    getEditableValue(element) {
+        if (element.isContentEditable) return element.textContent;
+        return 'value' in element && typeof element.value === 'string' ? element.value : null;
+    },
+
+    /**
+     * Record the pending navigation keys that turned out to be meaningful
+     */
+    settlePendingKeys() {
+        const keys = this.pendingKeys.splice(0);
+        keys.forEach(({ event, target, valueBefore }) => {
+            if (this.isKeyMeaningful(event, target, valueBefore)) {
+                this.recordKey(event, target, 'navigation');
+            }
+        });
+    },
+
+    /**
+     * Record a key press on its target element
+     */
+    recordKey(event, target, kind) {
+        // Text typed before the key belongs before it
+        this.inputDebounce.flush();
+
+        // Keys pressed with nothing focused go to the body
+        const isBody = target === target.ownerDocument.body;
+
+        this.recordAction('keydown', {
+            selector: isBody ? 'body' : this.selectorGenerator.generate(target),
+            key: event.key,
+            code: event.code,
+            kind,
+            modifiers: {
+                ctrl: event.ctrlKey,
+                shift: event.shiftKey,
+                alt: event.altKey,
+                meta: event.metaKey
+            },
+            tagName: target.tagName.toLowerCase()
+        }, target);
+    },
+
+    /**
+     * Drag and drop
+     */
+
+    /**
+     * Remember the source of a native HTML5 drag
+     */
+    handleDragStart(event) {
+        const source = this.resolveEventTarget(event);
+        if (!this.isRecording || !source || this.shouldIgnoreElement(source)) return;
+
+        // Native drags cancel the pointer gesture they started from
+        this.dragGesture = null;
+        this.nativeDrag = {
+            source,
+            sourceOffset: this.getRelativeOffset(source, event.clientX, event.clientY)
+        };
+    },
+
+    /**
+     * Forget a native drag that ended without a drop
+     */
+    handleDragEnd() {
+        this.nativeDrag = null;
+    },
+
+    /**
+     * Record the drop that completes a native drag
+     */
+    recordNativeDrop(event, target) {
+        const drag = this.nativeDrag;
+        this.nativeDrag = null;
+        if (!drag || drag.source === target) return;
+
+        this.recordDrag(drag.source, target, drag.sourceOffset, this.getRelativeOffset(target, event.clientX, event.clientY), 'native');
+    },
+
+    /**
+     * Start tracking a pointer gesture that may turn into a drag
+     */
+    handleGestureStart(event) {
+        const target = this.resolveEventTarget(event);
+        if (!this.isRecording || event.button !== 0 || !target || this.shouldIgnoreElement(target)) return;
+
+        // The pressed element and its nearest ancestors; whichever of them moves is the dragged element
+        const candidates = [];
+        for (let element = target; element && candidates.length < 6 && !element.matches('body, html'); element = element.parentElement) {
+            candidates.push({
+                element,
+                position: this.getPagePosition(element),
+                offset: this.getRelativeOffset(element, event.clientX, event.clientY)
+            });
+        }
+
+        this.dragGesture = {
+            target,
+            candidates,
+            startX: event.clientX,
+            startY: event.clientY,
+            isDragging: false,
+            source: null
+        };
+    },
+
+    /**
+     * Track a pointer gesture, noting when the pressed element starts to move
+     */
+    handleGestureMove(event) {
+        const gesture = this.dragGesture;
+        if (!gesture) return;
+
+        if (!gesture.isDragging) {
+            const distance = Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY);
+            gesture.isDragging = distance >= 5;
+        }
+
+        if (gesture.isDragging && !gesture.source) {
+            gesture.source = this.findMovedElement(gesture);
+        }
+    },
+
+    /**
+     * Finish a pointer gesture, recording a drag if it moved an element
+     */
+    handleGestureEnd(event) {
+        const gesture = this.dragGesture;
+        this.dragGesture = null;
+        if (!gesture || !gesture.isDragging || !this.isRecording) return;
+
+        // A drag is not a click, whatever it turns out to have moved
+        this.suppressNextClick = true;
+        setTimeout(() => { this.suppressNextClick = false; }, 0);
+
+        // The elements under the pointer are read now, before the page rearranges itself on release
+        const doc = gesture.target.ownerDocument;
+        const under = (typeof doc.elementsFromPoint === 'function'
+            ? doc.elementsFromPoint(event.clientX, event.clientY)
+            : [this.resolveEventTarget(event)]
+        ).filter(Boolean).map(element => ({
+            element,
+            offset: this.getRelativeOffset(element, event.clientX, event.clientY)
+        }));
+
+        // Libraries that only move the element on release have done so once the event is handled
+        setTimeout(() => {
+            const source = gesture.source || this.findMovedElement(gesture);
+            if (!source) return;
+
+            const drop = under.find(({ element }) =>
+                !source.contains(element) && !this.shouldIgnoreElement(element)
+            );
+            if (!drop) return;
+
+            const { offset } = gesture.candidates.find(candidate => candidate.element === source);
+            this.recordDrag(source, drop.element, offset, drop.offset, 'pointer');
+        }, 0);
+    },
+
+    /**
+     * Find the outermost of the pressed element and its ancestors that changed position
+     */
+    findMovedElement(gesture) {
+        let moved = null;
+        for (const { element, position } of gesture.candidates) {
+            if (!element.isConnected) continue;
+
+            const current = this.getPagePosition(element);
+            if (current.left !== position.left || current.top !== position.top) {
+                moved = element;
+            }
+        }
+        return moved;
+    },
+
+    /**
+     * Get an element's position relative to the page, so scrolling does not count as moving
+     */
+    getPagePosition(element) {
+        const rect = element.getBoundingClientRect();
+        const view = element.ownerDocument.defaultView;
+        return {
+            left: rect.left + (view?.scrollX || 0),
+            top: rect.top + (view?.scrollY || 0)
+        };
+    },
+
+    /**
+     * Get a point's offset from an element's top-left corner
+     */
+    getRelativeOffset(element, clientX, clientY) {
+        const rect = element.getBoundingClientRect();
+        return {
+            x: Math.round(clientX - rect.left),
+            y: Math.round(clientY - rect.top)
+        };
+    },
+
+    /**
+     * Record a drag of one element onto another
+     */
+    recordDrag(source, target, sourceOffset, targetOffset, method) {
+        this.recordAction('drag', {
+            selector: this.selectorGenerator.generate(source),
+            target: this.selectorGenerator.generate(target),
+            sourceOffset,
+            targetOffset,
+            method,
+            tagName: source.tagName.toLowerCase()
+        }, source);
+    },
+
+    /**
+     * Assertion picking
+     */
+
+    /**
+     * Toggle inspect mode, where clicking an element records an assertion
+     */
+    toggleInspectMode(enabled = !this.isInspecting) {
+        if (!this.isRecording) return;
+
+        this.isInspecting = enabled;
+        if (!enabled) {
+            this.toolbar?.clearHighlight();
+        }
+        this.toolbar?.render();
+    },
+
+    /**
+     * Intercept pointer events while inspecting, so the page does not react
+     */
+    handleInspectEvent(event) {
+        if (!this.isInspecting) return;
+
+        const target = this.resolveEventTarget(event);
+        if (this.shouldIgnoreElement(target)) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        if (event.type === 'click') {
+            this.pickAssertionTarget(target);
+        }
+    },
+
+    /**
+     * Highlight the element under the cursor while inspecting
+     */
+    handleInspectHover(event) {
+        if (!this.isInspecting || !this.toolbar || this.toolbar.hasPendingAssertion()) return;
+
+        const target = this.resolveEventTarget(event);
+        if (!this.shouldIgnoreElement(target)) {
+            this.toolbar.highlightElement(target);
+        }
+    },
+
+    /**
+     * Toggle inspect mode with the configured hotkey; Escape leaves it
+     */
+    handleInspectHotkey(event) {
+        if (!this.isRecording) return;
+
+        if (this.matchesHotkey(event, this.config.assertionHotkey)) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.toggleInspectMode();
+        } else if (this.isInspecting && event.key === 'Escape') {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.toolbar?.hideAssertionPicker();
+            this.toggleInspectMode(false);
+        }
+    },
+
+    /**
+     * Check a keyboard event against a hotkey such as "Alt+Shift+A"
+     */
+    matchesHotkey(event, hotkey) {
+        if (!hotkey) return false;
+
+        const parts = hotkey.split('+').map(part => part.trim().toLowerCase());
+        const key = parts.pop();
+        const modifiers = { ctrl: event.ctrlKey, shift: event.shiftKey, alt: event.altKey, meta: event.metaKey };
+
+        if (Object.keys(modifiers).some(modifier => modifiers[modifier] !== parts.includes(modifier))) {
+            return false;
+        }
+
+        // Alt changes event.key on macOS, so letters and digits are compared by code
+        if (/^[a-z0-9]$/.test(key)) {
+            return event.code === (/\d/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`);
+        }
+
+        return (event.key || '').toLowerCase() === key;
+    },
+
+    /**
+     * Offer assertions for a picked element, or record the first one when there is no toolbar
+     */
+    pickAssertionTarget(element) {
+        // Wait for the cancelled click to restore checkbox and radio state
+        setTimeout(() => {
+            const options = this.getAssertionOptions(element);
+
+            if (this.toolbar) {
+                this.toolbar.showAssertionPicker(element, options);
+            } else {
+                this.recordAssertion(options[0], element);
+                this.toggleInspectMode(false);
+            }
+        }, 0);
+    },
+
+    /**
+     * Build the assertion kinds that apply to an element, prefilled from its current state
+     *
+     * @returns {Array<{kind: string, label: string, selector: string|null, expected: *, attribute?: string}>}
+     */
+    getAssertionOptions(element) {
+        const selector = this.selectorGenerator.generate(element);
+        const tag = element.tagName.toLowerCase();
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        const text = this.getElementText(element);
+        const options = [];
+
+        if (text && !['input', 'select', 'textarea'].includes(tag)) {
+            options.push({ kind: 'text', label: 'See text', selector, expected: text });
+        }
+
+        // Only the state the element is in can be asserted; its opposite would fail right away
+        if (this.selectorGenerator.locator.isHidden(element)) {
+            options.push({ kind: 'hidden', label: 'Is hidden', selector, expected: true });
+        } else {
+            options.push({ kind: 'visible', label: 'Is visible', selector, expected: true });
+        }
+
+        if (['checkbox', 'radio'].includes(type)) {
+            options.push({ kind: 'checked', label: 'Is checked', selector, expected: element.checked });
+        } else if (['input', 'select', 'textarea'].includes(tag)) {
+            options.push({ kind: 'value', label: 'Has value', selector, expected: this.sanitizeValue(element.value, element) });
+        }
+
+        const attribute = this.getAssertableAttribute(element);
+        if (attribute) {
+            options.push({ kind: 'attribute', label: `Has ${attribute}`, selector, attribute, expected: element.getAttribute(attribute) });
+        }
+
+        const countSelector = this.getCountSelector(element);
+        options.push({
+            kind: 'count',
+            label: `Count of ${countSelector}`,
+            selector: countSelector,
+            expected: this.selectorGenerator.resolveAll(countSelector, this.getFramePath(element)).length
+        });
+
+        // The path holds across hosts and ports, where the full URL would not
+        options.push({ kind: 'url', label: 'Path is', selector: null, expected: window.location.pathname });
+
+        return options;
+    },
+
+    /**
+     * Pick the most meaningful attribute to assert on
+     */
+    getAssertableAttribute(element) {
+        const preferred = [
+            'href', 'aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed',
+            'aria-disabled', 'disabled', 'title', 'alt', 'src', 'placeholder'
+        ];
+        const found = preferred.find(attr => element.hasAttribute(attr));
+        if (found) return found;
+
+        const other = Array.from(element.attributes)
+            .map(attr => attr.name)
+            .find(name =>
+                !['id', 'class', 'style', 'name', 'type', 'role', 'value', 'checked'].includes(name) &&
+                !name.startsWith('on') &&
+                !name.startsWith('data-test')
+            );
+
+        return other || null;
+    },
+
+    /**
+     * Build a selector matching the element and its look-alike siblings, for count assertions
+     */
+    getCountSelector(element) {
+        const generator = this.selectorGenerator;
+        const classSelector = generator.tryClass(element) || '';
+        const selector = `${element.tagName.toLowerCase()}${classSelector}`;
+        const root = generator.getShadowRoot(element);
+        const hostSelector = root ? generator.generate(root.host) : null;
+
+        return hostSelector ? `${hostSelector} >> ${selector}` : selector;
+    },
+
+    /**
+     * Record an assert action for a chosen assertion option
+     */
+    recordAssertion(option, element) {
+        const data = {
+            kind: option.kind,
+            selector: option.selector,
+            expected: option.expected
+        };
+        if (option.attribute) {
+            data.attribute = option.attribute;
+        }
+
+        // Candidates only describe the picked element, not a count or URL selector
+        if (['count', 'url'].includes(option.kind)) {
+            const frame = this.getFramePath(element);
+            this.recordAction('assert', frame.length > 0 ? { ...data, frame } : data);
+        } else {
+            this.recordAction('assert', data, element);
+        }
+    },
+
+    /**
+     * Same-origin iframe support
+     */
+
+    /**
+     * Attach listeners to every same-origin iframe in or below the given node
+     */
+    attachFrameListeners(root) {
+        if (root.tagName === 'IFRAME') {
+            this.listenToFrame(root);
+        }
+
+        root.querySelectorAll('iframe').forEach(frame => this.listenToFrame(frame));
+    },
+
+    /**
+     * Record inside a single iframe
+     *
+     * The top-level recorder attaches its delegated listeners to the frame's
+     * document directly, and re-attaches whenever the frame loads a new
+     * document. Cross-origin frames are skipped.
+     */
+    listenToFrame(frame) {
+        if (!this.isRecording) return;
+
+        if (!this.frames.has(frame)) {
+            this.frames.add(frame);
+            this.addEventListener(frame, 'load', () => this.listenToFrame(frame));
+        }
+
+        const doc = this.getFrameDocument(frame);
+        if (!doc || this.frameDocuments.has(doc)) return;
+
+        this.frameDocuments.add(doc);
+        this.attachDocumentListeners(doc);
+        this.attachShadowRootListeners(doc);
+
+        if (this.mutationObserver && doc.body) {
+            this.mutationObserver.observe(doc.body, {
+                childList: true,
+                subtree: true
+            });
+        }
+
+        this.attachFrameListeners(doc);
+    },
+
+    /**
+     * Get the document of a same-origin iframe, or null if it is not accessible
+     */
+    getFrameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Get the chain of iframe selectors leading to an element's document
+     * Outermost frame first; each selector is unique within its parent document
+     */
+    getFramePath(element) {
+        const path = [];
+        let view = element.ownerDocument?.defaultView;
+
+        while (view && view !== window) {
+            let frame = null;
+            try {
+                frame = view.frameElement;
+            } catch (e) {
+                break;
+            }
+            if (!frame) break;
+
+            path.unshift(this.selectorGenerator.generate(frame));
+            view = frame.ownerDocument?.defaultView;
+        }
+
+        return path;
+    },
+
+    /**
+     * Wait inference
+     */
+
+    /**
+     * Start collecting the DOM changes that follow a user action
+     */
+    openSettleWindow(action) {
+        if (!this.config.inferWaits) return;
+
+        this.settleWindow = {
+            action,
+            appeared: new Set(),
+            removed: new Map(),
+            changed: new Set(),
+            toggled: new Map(),
+            settled: new Set(),
+            timer: setTimeout(() => this.closeSettleWindow(), this.config.waitSettleWindow)
+        };
+    },
+
+    /**
+     * Note a DOM change inside the current settle window
+     */
+    collectDomChange(mutation) {
+        const settle = this.settleWindow;
+
+        if (mutation.type === 'characterData') {
+            if (mutation.target.parentElement) settle.changed.add(mutation.target.parentElement);
+            return;
+        }
+
+        if (mutation.type === 'attributes') {
+            const element = mutation.target;
+            if (mutation.attributeName === 'aria-busy') {
+                if (mutation.oldValue === 'true') settle.settled.add(element);
+            } else if (['hidden', 'style', 'class'].includes(mutation.attributeName) && !settle.toggled.has(element)) {
+                // Only the state at the start of the window counts
+                settle.toggled.set(element, this.wasHiddenBefore(mutation));
+            }
+            return;
+        }
+
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                settle.appeared.add(node);
+            } else if (node.nodeType === Node.TEXT_NODE) {
+                settle.changed.add(mutation.target);
+            }
+        });
+
+        mutation.removedNodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                settle.changed.add(mutation.target);
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || settle.removed.has(node)) return;
+
+            // A spinner shown and removed again within the window still counts as gone
+            const indicator = this.findLoadingIndicator(node);
+            if (settle.appeared.delete(node) && !indicator) return;
+
+            // The node is detached now, so only selectors that do not depend on its position work
+            settle.removed.set(node, indicator
+                ? { kind: 'loading-gone', selector: this.getDetachedSelector(indicator) }
+                : { kind: 'removed', selector: this.getDetachedSelector(node) });
+        });
+    },
+
+    /**
+     * Turn the collected DOM changes into wait hints and record them for the action
+     */
+    closeSettleWindow() {
+        // DOM changes still waiting for an idle moment belong to this window
+        if (this.settleWindow) {
+            this.flushMutations();
+        }
+
+        const settle = this.settleWindow;
+        if (!settle) return;
+
+        clearTimeout(settle.timer);
+        this.settleWindow = null;
+
+        if (!this.isRecording || this.isPaused) return;
+
+        const waits = this.buildWaitHints(settle);
+        if (waits.length === 0) return;
+
+        // Delivered directly: the normalizer would settle held clicks out of order.
+        // The wait happens in the frame and page of the action it follows
+        this.deliverAction({
+            type: 'wait',
+            data: this.withPageContext({
+                triggeredBy: settle.action.id,
+                trigger: { type: settle.action.type, selector: settle.action.data.selector ?? null },
+                waits
+            }, settle.action.data.frame || []),
+            timestamp: Date.now(),
+            sessionId: this.sessionId,
+            url: window.location.href
+        });
+    },
+
+    /**
+     * Build wait hints from the state of the page at the end of a settle window
+     *
+     * Hints are loading-gone (a loading indicator was removed, hidden or
+     * stopped being busy), removed, appeared and text (an element's text
+     * changed), each with the selector to wait on.
+     */
+    buildWaitHints(settle) {
+        const hints = [];
+        const add = (kind, selector, extra = {}) => {
+            if (!selector || hints.some(hint => hint.kind === kind && hint.selector === selector)) return;
+            if (hints.filter(hint => hint.kind === kind).length >= this.maxWaitHintsPerKind) return;
+            hints.push({ kind, selector, ...extra });
+        };
+        const isRelevant = element => element.isConnected && !this.shouldIgnoreElement(element);
+
+        settle.settled.forEach(element => {
+            if (isRelevant(element) && element.getAttribute('aria-busy') !== 'true') {
+                add('loading-gone', this.selectorGenerator.generate(element));
+            }
+        });
+
+        settle.removed.forEach(({ kind, selector }, node) => {
+            if (!node.isConnected && !this.shouldIgnoreElement(node)) add(kind, selector);
+        });
+
+        settle.toggled.forEach((wasHidden, element) => {
+            if (!isRelevant(element)) return;
+
+            const isRendered = this.isRendered(element);
+            if (wasHidden !== true && !isRendered) {
+                add(this.findLoadingIndicator(element) ? 'loading-gone' : 'removed', this.selectorGenerator.generate(element));
+            } else if (wasHidden === true && isRendered) {
+                settle.appeared.add(element);
+            }
+        });
+
+        // Only the outermost of the elements that appeared together
+        const appeared = [...settle.appeared].filter(element => isRelevant(element) && this.isRendered(element));
+        const outermost = appeared.filter(element => !appeared.some(other => other !== element && other.contains(element)));
+        outermost.forEach(element => {
+            const text = this.getWaitText(element);
+            if (text || this.isSignificantElement(element)) {
+                add('appeared', this.selectorGenerator.generate(element), text ? { text } : {});
+            }
+        });
+
+        settle.changed.forEach(element => {
+            if (!isRelevant(element) || outermost.some(other => other.contains(element)) || !this.isRendered(element)) return;
+
+            const text = this.getWaitText(element);
+            if (text) add('text', this.selectorGenerator.generate(element), { text });
+        });
+
+        return hints;
+    },
+
+    /**
+     * Tell from an attribute's previous value whether the element was hidden
+     * before it changed: true, false, or null when the value does not say
+     */
+    wasHiddenBefore(mutation) {
+        const oldValue = mutation.oldValue || '';
+
+        switch (mutation.attributeName) {
+            case 'hidden':
+                return mutation.oldValue !== null;
+            case 'style':
+                return /display\s*:\s*none|visibility\s*:\s*hidden/i.test(oldValue);
+            case 'class':
+                // Elements are often hidden by a stylesheet rule, so a missing hidden class proves nothing
+                return oldValue.split(/\s+/).some(token => /^(hidden|d-none|invisible|is-hidden|collapse)$/.test(token)) || null;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Find a loading indicator at or inside an element
+     */
+    findLoadingIndicator(element) {
+        const selector = this.config.loadingSelectors.join(', ');
+        try {
+            return element.matches(selector) ? element : element.querySelector(selector);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Build a selector for a detached element from its id, priority attributes
+     * or the loading selector it matches, since its position is gone
+     */
+    getDetachedSelector(element) {
+        if (element.id) {
+            return `#${this.selectorGenerator.escapeSelector(element.id)}`;
+        }
+
+        const attribute = this.selectorGenerator.priority.find(name =>
+            !['id', 'class'].includes(name) && element.hasAttribute(name)
+        );
+        if (attribute) {
+            return `[${attribute}="${this.selectorGenerator.escapeSelector(element.getAttribute(attribute))}"]`;
+        }
+
+        return this.config.loadingSelectors.find(selector => {
+            try {
+                return element.matches(selector);
+            } catch (e) {
+                return false;
+            }
+        }) || null;
+    },
+
+    /**
+     * Check if an element is rendered, taking hidden ancestors into account
+     */
+    isRendered(element) {
+        if (typeof element.checkVisibility === 'function') {
+            return element.checkVisibility({ visibilityProperty: true });
+        }
+
+        for (let current = element; current; current = current.parentElement) {
+            if (current.hidden || getComputedStyle(current).display === 'none') return false;
+        }
+        return getComputedStyle(element).visibility !== 'hidden';
+    },
+
+    /**
+     * Get an element's text for a wait hint, if it is short enough to wait for
+     */
+    getWaitText(element) {
+        const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+        return text.length > 0 && text.length <= 80 ? text : null;
+    },
+
+    /**
+     * Network activity capture
+     */
+
+    /**
+     * Wrap fetch and XMLHttpRequest so requests made by the page are recorded
+     * with their method, URL, status and timing; restored on cleanup
+     */
+    instrumentNetwork() {
+        if (this.originalNetwork) return;
+
+        const recorder = this;
+        const originalFetch = window.fetch;
+        const xhrPrototype = window.XMLHttpRequest?.prototype;
+        this.originalNetwork = {
+            fetch: originalFetch,
+            open: xhrPrototype?.open,
+            send: xhrPrototype?.send
+        };
+
+        if (originalFetch) {
+            window.fetch = function (input, init) {
+                const method = init?.method || input?.method || 'GET';
+                const url = typeof input === 'string' || input instanceof URL ? String(input) : input?.url;
+                const request = recorder.startRequest('fetch', method, url);
+
+                return originalFetch.apply(this, arguments).then(response => {
+                    recorder.finishRequest(request, response.status);
+                    return response;
+                }, error => {
+                    recorder.finishRequest(request, 0, error?.name === 'AbortError' ? 'abort' : 'error');
+                    throw error;
+                });
+            };
+        }
+
+        if (xhrPrototype) {
+            const { open, send } = this.originalNetwork;
+            const requests = new WeakMap();
+
+            xhrPrototype.open = function (method, url) {
+                requests.set(this, { method, url: String(url) });
+                return open.apply(this, arguments);
+            };
+
+            xhrPrototype.send = function () {
+                const details = requests.get(this);
+                const request = details ? recorder.startRequest('xhr', details.method, details.url) : null;
+
+                if (request) {
+                    let failure = null;
+                    ['error', 'abort', 'timeout'].forEach(type => {
+                        this.addEventListener(type, () => { failure = type; });
+                    });
+                    this.addEventListener('loadend', () => {
+                        recorder.finishRequest(request, this.status, failure);
+                    });
+                }
+
+                return send.apply(this, arguments);
+            };
+        }
+    },
+
+    /**
+     * Put back the original fetch and XMLHttpRequest methods
+     */
+    restoreNetwork() {
+        if (!this.originalNetwork) return;
+
+        const { fetch, open, send } = this.originalNetwork;
+        if (fetch) window.fetch = fetch;
+        if (open) XMLHttpRequest.prototype.open = open;
+        if (send) XMLHttpRequest.prototype.send = send;
+        this.originalNetwork = null;
+    },
+
+    /**
+     * Note the start of a request, unless network capture is off or the URL is ignored
+     */
+    startRequest(transport, method, url) {
+        if (!this.isRecording || this.isPaused || this.isReplaying || !this.config.captureNetwork || !url) return null;
+
+        let absoluteUrl;
+        try {
+            absoluteUrl = new URL(url, window.location.href).href;
+        } catch (e) {
+            return null;
+        }
+
+        if (this.isIgnoredRequest(absoluteUrl)) return null;
+
+        return {
+            transport,
+            method: String(method).toUpperCase(),
+            url: absoluteUrl,
+            startedAt: Date.now(),
+            start: performance.now(),
+            ...this.getTriggerContext()
+        };
+    },
+
+    /**
+     * Note what findTriggeringAction() needs to link a request or dialog
+     * starting now to the user action that caused it
+     */
+    getTriggerContext() {
+        return {
+            // Page handlers run before the recorder's bubbling listeners, so the
+            // action for the event being dispatched is numbered after what starts now
+            afterActionId: this.nextActionId,
+            duringInteraction: this.isInteractionEvent(window.event)
+        };
+    },
+
+    /**
+     * Compile the networkIgnore patterns once, leaving out invalid ones
+     */
+    compileIgnorePatterns(patterns) {
+        return patterns.flatMap((pattern) => {
+            try {
+                return [new RegExp(pattern)];
+            } catch (e) {
+                this.log('warn', 'Invalid networkIgnore pattern:', pattern);
+                return [];
+            }
+        });
+    },
+
+    /**
+     * Check a request URL against the networkIgnore patterns, such as analytics endpoints
+     */
+    isIgnoredRequest(url) {
+        return this.networkIgnorePatterns.some(pattern => pattern.test(url));
+    },
+
+    /**
+     * Record a finished request, linked to the user action that caused it
+     */
+    finishRequest(request, status, failure = null) {
+        if (!request) return;
+
+        // Let held clicks be delivered first, in case the response arrived within the same task
+        setTimeout(() => this.recordRequest(request, status, failure), 0);
+    },
+
+    /**
+     * Record a request as a network action
+     */
+    recordRequest(request, status, failure) {
+        const duration = Math.round(performance.now() - request.start);
+        const trigger = this.findTriggeringAction(request);
+        // Query strings and fragments can carry tokens, so only the URL's path is kept
+        const url = new URL(request.url);
+        const data = {
+            method: request.method,
+            url: `${url.origin}${url.pathname}`,
+            urlPattern: this.getUrlPattern(request.url),
+            status,
+            ok: status >= 200 && status < 300,
+            duration,
+            transport: request.transport,
+            triggeredBy: trigger ? trigger.id : null
+        };
+
+        if (trigger) {
+            data.trigger = { type: trigger.type, selector: trigger.data.selector ?? null };
+            data.delay = request.startedAt - trigger.timestamp;
+        }
+
+        if (failure) {
+            data.error = failure;
+        }
+
+        this.recordAction('network', data);
+    },
+
+    /**
+     * Find the user action that caused a request or dialog
+     *
+     * A request sent while a click, key or other interaction was being
+     * dispatched belongs to the action recorded for that interaction. Any
+     * other request, such as one sent from a timer, belongs to the last
+     * action recorded before it started, if that was within networkLinkWindow.
+     */
+    findTriggeringAction(request) {
+        const actions = this.getUserActions();
+
+        if (request.duringInteraction) {
+            const caused = actions.find(action => action.id >= request.afterActionId);
+            if (caused) return caused;
+        }
+
+        const previous = actions.filter(action => action.id < request.afterActionId).pop();
+        return previous && request.startedAt - previous.timestamp <= this.config.networkLinkWindow ? previous : null;
+    },
+
+    /**
+     * Check if an event being dispatched is a user interaction the recorder records
+     */
+    isInteractionEvent(event) {
+        const interactionTypes = ['click', 'dblclick', 'contextmenu', 'input', 'change', 'submit', 'keydown', 'keyup', 'drop', 'dragend', 'pointerup', 'mouseup'];
+        return Boolean(event) && interactionTypes.includes(event.type);
+    },
+
+    /**
+     * Reduce a URL to a pattern that stays the same across runs
+     * Same-origin URLs are reduced to their path; numeric ids, UUIDs and long
+     * hex hashes become *, and the query string is left out.
+     */
+    getUrlPattern(url) {
+        const parsed = new URL(url);
+        const path = parsed.pathname
+            .split('/')
+            .map(segment => /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{24,})$/i.test(segment) ? '*' : segment)
+            .join('/');
+
+        return parsed.origin === window.location.origin ? path : parsed.origin + path;
+    },
+
+    /**
+     * Custom widgets
+     */
+
+    /**
+     * Find the option a click picks in a custom widget: an option in an ARIA
+     * listbox, or a day in a datepicker grid opened from a field
+     *
+     * @returns {Object|null} The option, its popup, the widget root and kind, or null for other clicks
+     */
+    getWidgetOption(target) {
+        const option = target.closest('[role="option"], [role="gridcell"]');
+        if (!option || option.getAttribute('aria-disabled') === 'true') return null;
+
+        const isDay = option.getAttribute('role') === 'gridcell';
+        const popup = option.closest(isDay ? '[role="grid"]' : '[role="listbox"]');
+        if (!popup) return null;
+
+        // A grid no field opens is a data table, not a datepicker
+        const root = this.getWidgetRoot(popup);
+        if (isDay && root === popup) return null;
+
+        const kind = isDay ? 'datepicker' : root === popup ? 'listbox' : 'combobox';
+        return { option, popup, root, kind };
+    },
+
+    /**
+     * Find the element a widget popup belongs to: the field or button that
+     * controls it through aria-controls or aria-owns, or the combobox around
+     * it. A listbox shown on its own is its own root.
+     */
+    getWidgetRoot(popup) {
+        const scope = popup.getRootNode();
+
+        for (let node = popup; node && node !== document.body; node = node.parentElement) {
+            if (node !== popup && node.getAttribute('role') === 'combobox') return node;
+
+            if (node.id) {
+                const id = this.selectorGenerator.escapeSelector(node.id);
+                const controller = scope.querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`);
+                if (controller) return controller;
+            }
+        }
+
+        return popup;
+    },
+
+    /**
+     * Record picking an option in a custom widget as one select action
+     * The clicks that opened the widget and the search typed into it are
+     * folded into the select; further picks in an open multi-select join it.
+     */
+    recordWidgetSelect({ option, popup, root, kind }) {
+        // Search text typed just before may still wait on the debounce
+        this.inputDebounce.flush();
+        this.normalizer.settle();
+
+        const label = this.getOptionLabel(option);
+        const multiple = popup.getAttribute('aria-multiselectable') === 'true';
+        const picked = { label, selector: this.selectorGenerator.generate(option) };
+        const selector = this.selectorGenerator.generate(root);
+
+        const last = this.getUserActions().pop();
+        if (multiple && last?.type === 'select' && last.data.widget && last.data.selector === selector && this.isQueued(last)) {
+            last.data = {
+                ...last.data,
+                value: label,
+                values: this.getSelectedLabels(popup, label),
+                picked: [...last.data.picked, picked]
+            };
+            last.timestamp = Date.now();
+            this.toolbar?.render();
+            return;
+        }
+
+        const steps = this.takeWidgetSteps(root, popup);
+        const search = steps.filter(step => step.action.type === 'fill').pop();
+
+        const data = {
+            selector,
+            tagName: root.tagName.toLowerCase(),
+            widget: kind,
+            value: label,
+            values: multiple ? this.getSelectedLabels(popup, label) : [label],
+            picked: [picked]
+        };
+
+        if (multiple) {
+            data.multiple = true;
+        }
+
+        if (search) {
+            data.search = { selector: search.action.data.selector, value: search.action.data.value };
+        }
+
+        this.recordAction('select', data, root);
+    },
+
+    /**
+     * Remove the actions just before a pick that opened or searched the widget
+     *
+     * @returns {Array<Object>} The removed actions and their elements, oldest first
+     */
+    takeWidgetSteps(root, popup) {
+        const steps = [];
+
+        for (let i = this.recentSteps.length - 1; i >= 0; i--) {
+            const step = this.recentSteps[i];
+            const { action, element } = step;
+            const belongs = element && (root.contains(element) || popup.contains(element) || this.isWidgetWrapper(element, root));
+
+            if (!belongs || !['click', 'press', 'fill', 'keydown'].includes(action.type) || !this.actions.includes(action)) break;
+            steps.unshift(step);
+        }
+
+        steps.forEach(({ action }) => this.removeAction(action.id));
+        return steps;
+    },
+
+    /**
+     * Check if an element only wraps a widget, such as the control a Tom Select field sits in
+     */
+    isWidgetWrapper(element, root) {
+        if (!element.contains(root)) return false;
+
+        const controls = element.querySelectorAll('input, select, textarea, button, [role="combobox"]');
+        return Array.from(controls).every(control =>
+            root.contains(control) || control.contains(root) || this.isHiddenControl(control)
+        );
+    },
+
+    /**
+     * Check if a form control is hidden from the user, like the native select
+     * a Choices or Tom Select widget replaces
+     */
+    isHiddenControl(control) {
+        return control.hidden || control.type === 'hidden' || control.tabIndex < 0 ||
+            control.getAttribute('aria-hidden') === 'true' ||
+            getComputedStyle(control).display === 'none';
+    },
+
+    /**
+     * Get the labels of the selected options in a multi-select listbox
+     * Falls back to the picked option while the widget has not marked it yet.
+     */
+    getSelectedLabels(popup, picked) {
+        const labels = Array.from(popup.querySelectorAll('[role="option"][aria-selected="true"]'))
+            .map(option => this.getOptionLabel(option));
+
+        return labels.length > 0 ? labels : [picked];
+    },
+
+    /**
+     * Get the label of a widget option, as assistive technology announces it
+     */
+    getOptionLabel(option) {
+        return option.getAttribute('aria-label')?.trim() || this.getElementText(option);
+    },
+
+    /**
+     * Dialogs
+     */
+
+    /**
+     * Wrap alert, confirm and prompt so the dialogs the page shows are
+     * recorded with the answer given; restored on cleanup
+     */
+    instrumentDialogs() {
+        if (!this.config.captureDialogs || this.originalDialogs) return;
+
+        const recorder = this;
+        this.originalDialogs = {
+            alert: window.alert,
+            confirm: window.confirm,
+            prompt: window.prompt
+        };
+
+        Object.entries(this.originalDialogs).forEach(([kind, original]) => {
+            window[kind] = function () {
+                // A replay answers each dialog the way it was answered while recording
+                const answer = recorder.isReplaying ? recorder.takeReplayAnswer(kind) : null;
+                if (answer) return answer.result;
+
+                const dialog = recorder.startDialog(kind, arguments[0]);
+                const result = original.apply(this, arguments);
+
+                // Recorded after the dispatch, so the click that opened the dialog comes first
+                if (dialog) {
+                    setTimeout(() => recorder.recordDialog(dialog, result), 0);
+                }
+
+                return result;
+            };
+        });
+    },
+
+    /**
+     * Put back the original alert, confirm and prompt
+     */
+    restoreDialogs() {
+        if (!this.originalDialogs) return;
+
+        Object.assign(window, this.originalDialogs);
+        this.originalDialogs = null;
+        this.pendingUnloadDialog = null;
+    },
+
+    /**
+     * Note a dialog being shown, unless it would not be recorded
+     *
+     * @returns {Object|null} What recordDialog() needs once the dialog is answered
+     */
+    startDialog(kind, message) {
+        if (!this.isRecording || this.isPaused || this.isReplaying) return null;
+
+        // Clicks still held for normalization came before the dialog
+        this.normalizer.settle();
+
+        return {
+            kind,
+            message: message === undefined ? '' : String(message),
+            startedAt: Date.now(),
+            ...this.getTriggerContext()
+        };
+    },
+
+    /**
+     * Record an answered dialog as a dialog action
+     *
+     * @param {Object} dialog - Dialog noted by startDialog()
+     * @param {*} result - What the dialog returned; for beforeunload, whether the page was left
+     */
+    recordDialog(dialog, result) {
+        // The click that opened the dialog may still be held for normalization
+        this.normalizer.settle();
+
+        const accepted = dialog.kind === 'alert' || (dialog.kind === 'prompt' ? result !== null : Boolean(result));
+        const trigger = this.findTriggeringAction(dialog);
+        const data = {
+            kind: dialog.kind,
+            message: dialog.message,
+            response: accepted ? 'accepted' : 'dismissed',
+            triggeredBy: trigger ? trigger.id : null
+        };
+
+        // An answer to a prompt asking for a password or the like is kept out, as for fields
+        if (dialog.kind === 'prompt' && accepted) {
+            data.value = this.redactor.redactAnswer(String(result), dialog.message);
+        }
+
+        if (trigger) {
+            data.trigger = { type: trigger.type, selector: trigger.data.selector ?? null };
+        }
+
+        this.recordAction('dialog', data);
+    },
+
+    /**
+     * Check whether a page's beforeunload listeners asked the browser to confirm leaving
+     */
+    isUnloadPrompt(event) {
+        return event.defaultPrevented || (typeof event.returnValue === 'string' && event.returnValue !== '');
+    },
+
+    /**
+     * Record the answer to a beforeunload prompt
+     * The page being hidden means it was left; another action on it means the user stayed.
+     */
+    resolveUnloadDialog(accepted) {
+        const dialog = this.pendingUnloadDialog;
+        if (!dialog) return;
+
+        this.pendingUnloadDialog = null;
+
+        // The session saved for the next page is not needed after all
+        if (!accepted) {
+            this.clearPersistedState();
+        }
+
+        this.recordDialog(dialog, accepted);
+    },
+
+    /**
+     * Queue the recorded answers to the dialogs a replay will open
+     *
+     * @param {Object} values - Replay values for redacted prompt answers, e.g. { password: 'secret' }
+     */
+    prepareReplayAnswers(actions, values = {}) {
+        this.replayAnswers = actions
+            .filter(action => action.type === 'dialog' && action.data.kind !== 'beforeunload')
+            .map(({ data }) => {
+                const accepted = data.response === 'accepted';
+                const placeholder = /^\{\{([a-z0-9_]+)\}\}$/.exec(data.value ?? '');
+                const value = placeholder && placeholder[1] in values ? String(values[placeholder[1]]) : data.value;
+                const results = {
+                    alert: undefined,
+                    confirm: accepted,
+                    prompt: accepted ? (value ?? '') : null
+                };
+                return { kind: data.kind, result: results[data.kind] };
+            });
+    },
+
+    /**
+     * Take the next recorded answer for a dialog of the given kind
+     */
+    takeReplayAnswer(kind) {
+        const index = this.replayAnswers.findIndex(answer => answer.kind === kind);
+        return index === -1 ? null : this.replayAnswers.splice(index, 1)[0];
+    },
+
+    /**
+     * Popup windows
+     */
+
+    /**
+     * Wrap window.open so windows the page opens are recorded as popups;
+     * restored on cleanup
+     */
+    instrumentPopups() {
+        if (!this.config.capturePopups || this.originalWindowOpen) return;
+
+        const recorder = this;
+        const originalOpen = window.open;
+        this.originalWindowOpen = originalOpen;
+
+        window.open = function (url, target) {
+            const popup = originalOpen.apply(this, arguments);
+
+            // composedPath() is only available while the triggering event is dispatched
+            const event = window.event;
+            const trigger = recorder.isInteractionEvent(event) ? recorder.resolveEventTarget(event) : null;
+
+            // Recorded after the dispatch, so the click that opened the popup comes first
+            if (popup && recorder.opensNewWindow(target || '_blank')) {
+                setTimeout(() => recorder.recordPopup('window.open', url, target, trigger), 0);
+            }
+
+            return popup;
+        };
+    },
+
+    /**
+     * Put back the original window.open
+     */
+    restorePopups() {
+        if (!this.originalWindowOpen) return;
+
+        window.open = this.originalWindowOpen;
+        this.originalWindowOpen = null;
+    },
+
+    /**
+     * Record a link click that opens a new tab or window
+     */
+    recordLinkPopup(event, target) {
+        if (!this.config.capturePopups || event.defaultPrevented) return;
+
+        const link = target.closest('a[href], area[href]');
+        if (!link || link.hasAttribute('download') || link.protocol === 'javascript:') return;
+
+        // Ctrl, Cmd and Shift clicks open the link in a new tab or window
+        const modified = event.ctrlKey || event.metaKey || event.shiftKey;
+        if (!modified && !this.opensNewWindow(link.target)) return;
+
+        this.recordPopup('link', link.href, link.target, link);
+    },
+
+    /**
+     * Record a form submission that opens a new tab or window
+     */
+    recordFormPopup(event, form) {
+        if (!this.config.capturePopups || event.defaultPrevented) return;
+
+        const submitter = event.submitter;
+        const target = submitter?.getAttribute('formtarget') || form.target;
+        if (!this.opensNewWindow(target)) return;
+
+        this.recordPopup('form', submitter?.getAttribute('formaction') || form.action, target, form);
+    },
+
+    /**
+     * Check whether a browsing context name opens a new window rather than
+     * this page or one of its frames
+     */
+    opensNewWindow(target) {
+        const name = typeof target === 'string' ? target.trim() : '';
+        if (!name || ['_self', '_parent', '_top'].includes(name.toLowerCase())) return false;
+        if (name.toLowerCase() === '_blank') return true;
+
+        // A named target opens a new window unless a frame of this page already has that name
+        const escaped = this.selectorGenerator.escapeSelector(name);
+        return !document.querySelector(`iframe[name="${escaped}"], frame[name="${escaped}"]`);
+    },
+
+    /**
+     * Record a popup:opened action with the id the popup's own recorder should use
+     *
+     * @param {string} via - What opened the popup: link, form or window.open
+     * @param {string} url - URL the popup was opened with
+     * @param {string|null} target - Browsing context name the popup was opened in
+     * @param {Element|null} trigger - Element whose interaction opened the popup
+     */
+    recordPopup(via, url, target, trigger = null) {
+        if (!this.isRecording || this.isPaused || this.isReplaying) return;
+
+        let absoluteUrl;
+        try {
+            absoluteUrl = new URL(url || 'about:blank', window.location.href).href;
+        } catch (e) {
+            absoluteUrl = String(url);
+        }
+
+        const data = {
+            popupId: `popup-${this.nextPopupId++}`,
+            url: absoluteUrl,
+            via
+        };
+
+        if (target && target.toLowerCase() !== '_blank') {
+            data.target = target;
+        }
+
+        if (trigger && !this.shouldIgnoreElement(trigger)) {
+            data.trigger = this.selectorGenerator.generate(trigger);
+        }
+
+        this.recordAction('popup:opened', data);
+    },
+
+    /**
+     * Hover recording
+     */
+
+    /**
+     * Get the element a hover over a target is about: the nearest link,
+     * button, menu item, list item or other element that commonly reacts to hovering
+     */
+    getHoverTarget(target) {
+        const hoverable = 'a, button, summary, label, li, [role="button"], [role="menuitem"], [role="tab"], ' +
+            '[aria-haspopup], [aria-expanded], [aria-describedby], [data-tooltip], [title]';
+
+        return target.closest(hoverable) || target;
+    },
+
+    /**
+     * End the hovers of candidates that no longer contain the pointer
+     *
+     * @param {Element|null} target - Element the pointer is over now, or null when it left the page
+     */
+    leaveHovers(target) {
+        while (this.hoverStack.length > 0) {
+            const candidate = this.hoverStack[this.hoverStack.length - 1];
+            if (target && candidate.element.contains(target)) break;
+
+            this.hoverStack.pop();
+
+            // Leaving a recorded hover matters if it undoes the hover's effect
+            if (candidate.recorded && !candidate.interrupted) {
+                candidate.leftAt = Date.now();
+                this.hoverLeaves.push(candidate);
+            }
+        }
+    },
+
+    /**
+     * Stop attributing DOM changes to the current hovers, once another interaction happened
+     */
+    interruptHovers() {
+        this.hoverStack.forEach((candidate) => {
+            candidate.interrupted = true;
+        });
+        this.hoverLeaves = [];
+    },
+
+    /**
+     * Record the innermost hover when a DOM change shows its effect, and a
+     * leave when leaving a recorded hover undoes it
+     *
+     * A hover is kept when, within hoverEffectWindow, an element related to
+     * the hovered one appears or is shown (a menu or tooltip) or aria-expanded
+     * turns true on or around the hovered element. Every other hover is dropped.
+     */
+    collectHoverEffect(mutation, now = Date.now()) {
+        this.hoverLeaves = this.hoverLeaves.filter(candidate => now - candidate.leftAt <= this.config.hoverEffectWindow);
+
+        const left = this.hoverLeaves.find(candidate => this.undoesHoverEffect(mutation, candidate));
+        if (left) {
+            this.hoverLeaves.splice(this.hoverLeaves.indexOf(left), 1);
+            this.recordAction('hover', {
+                selector: this.selectorGenerator.generate(left.element),
+                action: 'leave'
+            }, left.element);
+        }
+
+        const candidate = this.hoverStack[this.hoverStack.length - 1];
+        if (!candidate || candidate.interrupted || now - candidate.since > this.config.hoverEffectWindow) return;
+
+        const effect = this.getHoverEffect(mutation, candidate);
+        if (!effect || candidate.recorded) return;
+
+        candidate.recorded = true;
+        this.recordHover(candidate.element, effect.kind, effect.element);
+    },
+
+    /**
+     * Describe the visible effect of a DOM change on a hover candidate, if any
+     *
+     * @returns {{kind: string, element: Element}|null}
+     */
+    getHoverEffect(mutation, candidate) {
+        const element = mutation.target;
+
+        if (mutation.type === 'attributes') {
+            if (mutation.attributeName === 'aria-expanded') {
+                const related = element.contains(candidate.element) || candidate.element.contains(element);
+                if (!related || element.getAttribute('aria-expanded') !== 'true') return null;
+
+                candidate.expanded.add(element);
+                return { kind: 'expanded', element };
+            }
+
+            if (!['hidden', 'style', 'class'].includes(mutation.attributeName)) return null;
+            if (!this.wasHiddenBefore(mutation) || !this.isRendered(element) || this.shouldIgnoreElement(element)) return null;
+            if (!this.isHoverRelated(element, candidate.element)) return null;
+
+            candidate.revealed.add(element);
+            return { kind: 'revealed', element };
+        }
+
+        if (mutation.type !== 'childList') return null;
+
+        const added = Array.from(mutation.addedNodes).find(node =>
+            node.nodeType === Node.ELEMENT_NODE && this.isRendered(node) && !this.shouldIgnoreElement(node) &&
+            this.isHoverRelated(node, candidate.element)
+        );
+        if (!added) return null;
+
+        candidate.revealed.add(added);
+        return { kind: 'revealed', element: added };
+    },
+
+    /**
+     * Check whether an element that appeared can be the effect of hovering another
+     *
+     * It has to be inside the hovered element or one of its siblings, be
+     * named by its aria-controls or aria-describedby, or be a popup
+     * positioned next to it. A banner or toast shown elsewhere on the page
+     * while the pointer happens to rest on a link is not its effect.
+     */
+    isHoverRelated(element, hovered) {
+        if (hovered.contains(element)) return true;
+
+        const parent = hovered.parentElement;
+        const { body, documentElement } = hovered.ownerDocument;
+        if (parent && parent !== body && parent !== documentElement && parent.contains(element)) {
+            return true;
+        }
+
+        const ids = ['aria-controls', 'aria-describedby']
+            .flatMap(name => (hovered.getAttribute(name) || '').split(/\s+/))
+            .filter(Boolean);
+        if (ids.some(id => element.ownerDocument.getElementById(id)?.contains(element))) return true;
+
+        return this.isAnchoredNear(element, hovered);
+    },
+
+    /**
+     * Check whether an element is a popup positioned against another, like a
+     * tooltip or menu rendered into the body but placed beside its trigger
+     */
+    isAnchoredNear(element, anchor) {
+        const position = getComputedStyle(element).position;
+        if (position !== 'absolute' && position !== 'fixed') return false;
+
+        const rect = element.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return false;
+
+        // Popups sit beside their anchor, maybe with an arrow or margin in between
+        const gap = 24;
+        return rect.left <= anchorRect.right + gap && rect.right >= anchorRect.left - gap &&
+            rect.top <= anchorRect.bottom + gap && rect.bottom >= anchorRect.top - gap;
+    },
+
+    /**
+     * Check whether a DOM change undoes the effect of a hover the pointer left
+     */
+    undoesHoverEffect(mutation, candidate) {
+        const element = mutation.target;
+
+        if (mutation.type === 'childList') {
+            return Array.from(mutation.removedNodes).some(node =>
+                Array.from(candidate.revealed).some(revealed => node === revealed || node.contains?.(revealed))
+            );
+        }
+
+        if (mutation.type !== 'attributes') return false;
+
+        if (mutation.attributeName === 'aria-expanded') {
+            return candidate.expanded.has(element) && element.getAttribute('aria-expanded') !== 'true';
+        }
+
+        return Array.from(candidate.revealed).some(revealed => element.contains(revealed) && !this.isRendered(revealed));
+    },
+
+    /**
+     * Record a hover over an element
+     *
+     * @param {string} effect - What made the hover worth keeping: revealed, expanded or click
+     * @param {Element|null} revealed - The element the hover showed, if known
+     */
+    recordHover(element, effect, revealed = null) {
+        const data = {
+            selector: this.selectorGenerator.generate(element),
+            action: 'enter',
+            effect
+        };
+        if (revealed && revealed !== element) {
+            data.reveals = this.selectorGenerator.generate(revealed);
+        }
+
+        this.recordAction('hover', data, element);
+    },
+
+    /**
+     * Record the hover a click depends on, when the clicked element is only
+     * shown by a :hover rule on one of its ancestors, like a CSS-only dropdown
+     */
+    recordRevealingHover(target) {
+        if (!this.config.includeHoverActions) return;
+
+        const revealer = this.findHoverRevealer(target);
+        if (!revealer) return;
+
+        const candidate = this.hoverStack.find(entry => entry.element === revealer);
+        if (candidate?.recorded) return;
+        if (candidate) {
+            candidate.recorded = true;
+        }
+
+        this.recordHover(revealer, 'click', target);
+    },
+
+    /**
+     * Find the ancestor whose :hover style rule shows an element, if any
+     *
+     * For a rule such as `.menu li:hover > ul { display: block }`, a target
+     * inside the ul is revealed by hovering the li around it.
+     */
+    findHoverRevealer(target) {
+        for (const rule of this.getRevealingHoverRules(target.ownerDocument)) {
+            for (const part of rule.selectorText.split(',')) {
+                const index = part.indexOf(':hover');
+                if (index === -1) continue;
+
+                // The compound before :hover is the hovered element, the whole selector the shown one
+                let hovered = part.slice(0, index).trim();
+                if (!hovered || /[>+~]$/.test(hovered)) {
+                    hovered += '*';
+                }
+                const shown = part.replace(/:hover/g, '').trim();
+
+                try {
+                    const revealer = target.closest(shown)?.parentElement?.closest(hovered);
+                    if (revealer) return revealer;
+                } catch (e) {
+                    // Selectors closest() cannot match, such as ones with pseudo-elements
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Get the :hover style rules of a document that show something
+     */
+    getRevealingHoverRules(doc) {
+        const rules = [];
+        const collect = (list) => {
+            Array.from(list || []).forEach((rule) => {
+                if (rule.selectorText === undefined) {
+                    // Media, supports and other grouping rules
+                    collect(rule.cssRules);
+                } else if (rule.selectorText.includes(':hover') && this.isRevealingStyle(rule.style)) {
+                    rules.push(rule);
+                }
+            });
+        };
+
+        Array.from(doc.styleSheets).forEach((sheet) => {
+            try {
+                collect(sheet.cssRules);
+            } catch (e) {
+                // Cross-origin stylesheets cannot be read
+            }
+        });
+
+        return rules;
+    },
+
+    /**
+     * Check whether a style declaration shows an element, rather than only restyling it
+     */
+    isRevealingStyle(style) {
+        return (Boolean(style.display) && style.display !== 'none')
+            || style.visibility === 'visible'
+            || parseFloat(style.opacity) === 1;
+    },
+
+    /**
+     * Selector drift detection
+     */
+
+    /**
+     * Verify a delivered action's selector against the DOM it ran in, and watch it for drift
+     */
+    trackSelector(action, element) {
+        if (!this.config.detectSelectorDrift || !element || !action.data?.selector) return;
+
+        if (!this.verifyTrackedSelector(action, element)) return;
+
+        this.trackedSelectors.push({ action, element });
+        if (this.trackedSelectors.length > this.maxTrackedSelectors) {
+            this.trackedSelectors.shift();
+        }
+    },
+
+    /**
+     * Get the attributes selectors are built from, whose changes can break them
+     */
+    getSelectorAttributes() {
+        const attributes = ['id', 'name', 'role', 'aria-label', 'data-testid', 'data-cy', 'data-test', 'data-qa', ...this.config.selectorPriority];
+        return [...new Set(attributes)].filter(attr => attr !== 'class');
+    },
+
+    /**
+     * Check whether a mutation can change what recorded selectors match
+     * Inline styles never do; added or removed elements, text and selector attributes may.
+     */
+    isSelectorMutation(mutation) {
+        if (this.trackedSelectors.length === 0) return false;
+
+        switch (mutation.type) {
+            case 'childList':
+                return [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE);
+            case 'attributes':
+                return !['style', 'aria-busy', 'aria-expanded'].includes(mutation.attributeName);
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Check that each tracked selector still resolves to its element alone
+     *
+     * Elements that left the page are no longer tracked: their selectors only
+     * mattered when the action ran. A selector that now also matches other
+     * elements is flagged ambiguous, one that matches other elements or none
+     * is flagged stale. The selector itself is kept, since it matched when
+     * the action ran, and the flagged action is no longer tracked.
+     */
+    checkTrackedSelectors() {
+        if (!this.isRecording || this.isReplaying) return;
+
+        this.trackedSelectors = this.trackedSelectors.filter(({ action, element }) => {
+            if (!element.isConnected || !this.actions.includes(action)) return false;
+
+            return this.verifyTrackedSelector(action, element);
+        });
+    },
+
+    /**
+     * Check that an action's selector resolves to its element alone, flagging it otherwise
+     *
+     * @returns {boolean} Whether the selector still holds
+     */
+    verifyTrackedSelector(action, element) {
+        const matches = this.selectorGenerator.resolveAll(action.data.selector, action.data.frame || []);
+        if (matches.length === 1 && matches[0] === element) return true;
+
+        this.flagSelectorDrift(action, element, matches.length > 1 && matches.includes(element) ? 'ambiguous' : 'stale');
+        return false;
+    },
+
+    /**
+     * Flag an action whose selector drifted, suggesting a sturdier one
+     * Actions PHP has not polled yet are flagged in place; for the others the
+     * flag follows as a selector:updated action. Neither changes the selector.
+     */
+    flagSelectorDrift(action, element, warning) {
+        const selector = action.data.selector;
+        const suggestion = this.selectorGenerator.regenerate(element, selector);
+
+        this.log('warn', `Selector ${selector} became ${warning}` + (suggestion ? `, consider ${suggestion.selector}` : ''));
+
+        const update = { selectorWarning: warning };
+        if (suggestion) {
+            update.suggestedSelector = suggestion.selector;
+        }
+
+        const queued = this.isQueued(action);
+        action.data = { ...action.data, ...update };
+
+        if (!queued) {
+            this.recordAction('selector:updated', {
+                actionId: action.id,
+                type: action.type,
+                selector,
+                ...update
+            });
+        }
+
+        this.toolbar?.render();
+    },
+
+    /**
+     * Replay
+     */
+
+    /**
+     * Get the actions a replay re-executes: user actions and the waits that followed them
+     * Actions carried over from earlier pages are left out; they ran against
+     * documents that are gone, and the ones that left them would unload this one.
+     */
+    getReplayableActions() {
+        return this.actions.filter(action =>
+            action.id >= this.pageStartId && (this.isUserAction(action) || action.type === 'wait')
+        );
+    },
+
+    /**
+     * Replay recorded actions against the current page
+     * Nothing is recorded while the replay runs, including events the replay
+     * dispatches that would otherwise settle after it.
+     *
+     * @param {Object} options - PestReplayer options, such as values for redacted fields
+     * @param {Object[]} actions - Actions to replay, the recorded ones by default
+     * @returns {Promise<{passed: boolean, steps: Object[], failedStep: Object|null}>}
+     */
+    async replay(options = {}, actions = null) {
+        if (this.isReplaying) {
+            throw new Error('A replay is already running');
+        }
+
+        // Record what is still pending before replayed events could join it
+        this.inputDebounce.flush();
+        this.normalizer.settle();
+        this.closeSettleWindow();
+
+        this.prepareReplayAnswers(actions || this.actions.filter(action => action.id >= this.pageStartId), options.values);
+        actions = actions || this.getReplayableActions();
+        this.isReplaying = true;
+        this.toolbar?.render();
+
+        try {
+            return await new PestReplayer({
+                selectorPriority: this.config.selectorPriority,
+                ...options,
+                onStep: (step) => {
+                    this.toolbar?.markStep(step);
+                    options.onStep?.(step);
+                }
+            }).replay(actions);
+        } finally {
+            // Let debounced, throttled and deferred handlers run while still ignored
+            await new Promise(resolve => setTimeout(resolve, 150));
+            this.inputDebounce.flush();
+            this.settlePendingKeys();
+
+            this.isReplaying = false;
+            this.replayAnswers = [];
+            this.toolbar?.render();
+        }
+    },
+
+    /**
+     * Helper methods
+     */
+    
+    /**
+     * Write to the console if the level is within the configured logLevel
+     *
+     * @param {string} level - 'error', 'warn', 'info' or 'debug'
+     */
+    log(level, ...args) {
+        const levels = ['silent', 'error', 'warn', 'info', 'debug'];
+        const allowed = levels.indexOf(this.config.logLevel);
+        if (levels.indexOf(level) > (allowed === -1 ? levels.indexOf('warn') : allowed)) return;
+
+        console[level === 'debug' ? 'log' : level]('[PestRecorder]', ...args);
+    },
+
+    /**
+     * Check if element should be ignored
+     */
+    shouldIgnoreElement(element) {
+        // Ignore script tags, style tags, and recorder-related elements
+        const ignoredTags = ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE'];
+        if (ignoredTags.includes(element.tagName)) return true;
+        
+        // Ignore elements with specific classes or data attributes,
+        // including anything nested inside them or their shadow roots
+        for (let current = element; current; current = current.parentElement || current.getRootNode().host) {
+            if (current.classList?.contains('pest-recorder-ignore')) return true;
+            if (current.dataset?.pestIgnore) return true;
+        }
+        
+        return false;
+    },
+
+    /**
+     * Check if element is significant for tracking
+     */
+    isSignificantElement(element) {
+        const significantTags = ['BUTTON', 'A', 'INPUT', 'SELECT', 'TEXTAREA', 'FORM'];
+        return significantTags.includes(element.tagName) || 
+               element.hasAttribute('role') || 
+               element.hasAttribute('data-testid');
+    },
+
+    /**
+     * Get text content of element (truncated)
+     */
+    getElementText(element) {
+        // A sensitive field's value must not leak into the text of clicks on it
+        const value = element.value && !this.redactor.isSensitive(element) ? element.value : '';
+        let text = element.textContent || value || element.placeholder || '';
+        return text.trim().substring(0, 100);
+    },
+
+    /**
+     * Sanitize a field's value, replacing it with a named placeholder such as
+     * {{password}} when the field is sensitive
+     */
+    sanitizeValue(value, element) {
+        return this.redactor.redact(value, element);
+    },
+
+    /**
+     * Find the form control a FormData entry came from
+     */
+    getFormField(form, name) {
+        const field = form.elements.namedItem(name);
+
+        // Radio groups and repeated names resolve to a list of controls
+        return field?.nodeType === Node.ELEMENT_NODE ? field : field?.[0] || null;
+    }
+});
+/**
+ * Normalization stage between the recorder's event handlers and PHP
+ * Merges the raw event stream into intent-level actions: focus, input, change
+ * and blur become one fill; a click on a checkbox, radio or its label plus the
+ * change become check; select changes become select; a submit button click
+ * plus the submit become press. Raw events are kept in each action's
+ * data.rawEvents when debugRawEvents is enabled.
+ */
+class ActionNormalizer {
+    /**
+     * @param {PestRecorder} recorder - Recorder whose actions are normalized
+     */
+    constructor(recorder) {
+        this.recorder = recorder;
+        
+        // Clicks wait for the change or submit they may cause, which follow in the same task
+        this.heldClicks = [];
+        this.settleTimer = null;
+        
+        // Raw events merged away since the last delivered action, kept for debugging
+        this.droppedEvents = [];
+        
+        this.lastDelivered = null;
+        this.lastElement = null;
+        
+        // A pointer leaving a hover waits for the action after it
+        this.heldLeave = null;
+    }
+
+    /**
+     * Take a raw action from the recorder
+     */
+    push(action, element = null) {
+        if (this.heldLeave && this.recorder.isUserAction(action)) {
+            this.resolveLeave(action);
+        }
+
+        switch (action.type) {
+            case 'focus':
+            case 'blur':
+                // Implicit in the fill or click around them
+                this.drop(action);
+                break;
+            case 'click':
+                this.holdClick(action, element);
+                break;
+            case 'input':
+                if (this.isTextEntry(action.data)) {
+                    this.settle();
+                    this.recordFill(action, element);
+                } else {
+                    // Checkboxes, radios and selects also fire change, which is recorded instead
+                    this.drop(action);
+                }
+                break;
+            case 'change':
+                this.handleChange(action, element);
+                break;
+            case 'submit':
+                this.handleSubmit(action, element);
+                break;
+            case 'dblclick':
+                this.settle();
+                this.handleDoubleClick(action, element);
+                break;
+            case 'hover':
+                this.settle();
+                if (action.data.action === 'leave') {
+                    this.heldLeave = { action, element };
+                } else {
+                    this.deliver(action, element, [action]);
+                }
+                break;
+            default:
+                this.settle();
+                this.deliver(action, element, [action]);
+        }
+    }
+
+    /**
+     * Deliver the held clicks that did not turn into something else
+     */
+    settle() {
+        clearTimeout(this.settleTimer);
+        this.settleTimer = null;
+
+        this.heldClicks.splice(0).forEach(({ action, element }) => {
+            this.deliver(action, element, [action]);
+        });
+    }
+
+    /**
+     * Deliver or drop a held hover leave, depending on the action after it
+     * Pointer actions move the pointer away themselves, so the leave only
+     * matters before keys, typing, assertions and the like.
+     */
+    resolveLeave(next) {
+        const { action, element } = this.heldLeave;
+        this.heldLeave = null;
+
+        if (['click', 'dblclick', 'rightclick', 'drag', 'hover'].includes(next.type)) {
+            this.drop(action);
+        } else {
+            this.deliver(action, element, [action]);
+        }
+    }
+
+    /**
+     * Hold a click until the events it causes have been dispatched
+     */
+    holdClick(action, element) {
+        this.heldClicks.push({ action, element });
+
+        if (!this.settleTimer) {
+            this.settleTimer = setTimeout(() => this.settle(), 0);
+        }
+    }
+
+    /**
+     * Turn checkbox, radio and select changes into check and select, and text changes into fill
+     */
+    handleChange(action, element) {
+        const data = action.data;
+
+        if (data.type === 'checkbox' || data.type === 'radio' || data.tagName === 'select') {
+            const clicks = this.takeHeldClicks(click => this.isClickOn(click.element, element));
+            this.settle();
+
+            // Ctrl/Cmd-clicking through a multiple select updates one select action
+            const last = this.lastDelivered;
+            if (data.multiple && last?.type === 'select' && last.data.selector === data.selector && this.recorder.isQueued(last)) {
+                last.data = { ...last.data, value: data.value, values: data.values, selectedTexts: data.selectedTexts };
+                last.timestamp = action.timestamp;
+                this.drop(action);
+                this.recorder.toolbar?.render();
+                return;
+            }
+
+            const selection = data.multiple ? { multiple: true, values: data.values, selectedTexts: data.selectedTexts } : {};
+            const intent = data.tagName === 'select'
+                ? this.toIntent(action, 'select', { value: data.value, selectedIndex: data.selectedIndex, selectedText: data.selectedText, ...selection })
+                : this.toIntent(action, 'check', { checked: data.checked, value: data.value, inputType: data.type });
+
+            this.deliver(intent, element, [...clicks.map(click => click.action), action]);
+            return;
+        }
+
+        this.settle();
+
+        if (!this.isTextEntry(data)) {
+            this.deliver(action, element, [action]);
+            return;
+        }
+
+        // The change that commits a typed value repeats the fill before it
+        this.recordFill(action, element);
+    }
+
+    /**
+     * Merge a submit button click and the submit it causes into press
+     */
+    handleSubmit(action, form) {
+        const [click] = this.takeHeldClicks(({ element }) => this.isSubmitButtonOf(element, form));
+        this.settle();
+
+        if (click) {
+            const intent = this.toIntent(click.action, 'press', { form: action.data.selector });
+            this.deliver(intent, click.element, [click.action, action]);
+            return;
+        }
+
+        // Enter in one of the form's fields was recorded already and submits it on replay
+        const last = this.lastDelivered;
+        if (last?.type === 'keydown' && last.data.key === 'Enter' && this.lastElement?.form === form) {
+            this.drop(action);
+            return;
+        }
+
+        this.deliver(action, form, [action]);
+    }
+
+    /**
+     * Replace the two clicks before a double click, if PHP has not polled them yet
+     */
+    handleDoubleClick(action, element) {
+        const actions = this.recorder.actions;
+        const clicks = actions.slice(-2);
+        const isDoubleClick = clicks.length === 2 && clicks.every(click =>
+            click.type === 'click' && click.data.selector === action.data.selector && this.recorder.isQueued(click)
+        );
+
+        if (isDoubleClick) {
+            clicks.forEach(click => this.recorder.withdrawAction(click));
+        }
+
+        this.deliver(action, element, [...(isDoubleClick ? clicks.flatMap(click => click.data.rawEvents || []) : []), action]);
+    }
+
+    /**
+     * Record a fill, updating the previous one for the same field while PHP has not polled it
+     */
+    recordFill(action, element) {
+        const data = action.data;
+        const last = this.lastDelivered;
+        const isSameField = last?.type === 'fill' && last.data.selector === data.selector;
+
+        // Debounced input can arrive after the change that already recorded its value
+        if (isSameField && last.data.value === data.value) {
+            this.drop(action);
+            return;
+        }
+
+        if (isSameField && this.recorder.isQueued(last)) {
+            last.data = { ...last.data, value: data.value };
+            last.timestamp = action.timestamp;
+            if (last.data.rawEvents) {
+                last.data.rawEvents.push(...this.droppedEvents.splice(0), action);
+            }
+            this.recorder.toolbar?.render();
+            return;
+        }
+
+        const intent = this.toIntent(action, 'fill', {
+            value: data.value,
+            inputType: data.inputType || data.type
+        });
+        this.deliver(intent, element, [action]);
+    }
+
+    /**
+     * Send an action to the recorder, with the raw events behind it when debugging
+     */
+    deliver(action, element, rawEvents) {
+        const dropped = this.droppedEvents.splice(0);
+        if (this.recorder.config.debugRawEvents) {
+            action.data = { ...action.data, rawEvents: [...dropped, ...rawEvents] };
+        }
+
+        this.lastDelivered = action;
+        this.lastElement = element;
+        this.recorder.deliverAction(action, element);
+    }
+
+    /**
+     * Leave out a raw event, keeping it for debugging
+     */
+    drop(action) {
+        if (this.recorder.config.debugRawEvents) {
+            this.droppedEvents.push(action);
+        }
+    }
+
+    /**
+     * Build an intent-level action from the raw action it is based on
+     */
+    toIntent(action, type, data) {
+        const { selector, selectors, frame, tagName, text } = action.data;
+        const base = Object.fromEntries(
+            Object.entries({ selector, selectors, frame, tagName, text }).filter(([, value]) => value !== undefined)
+        );
+
+        return { ...action, type, data: { ...base, ...data } };
+    }
+
+    /**
+     * Remove and return the held clicks matching a predicate
+     */
+    takeHeldClicks(predicate) {
+        const taken = this.heldClicks.filter(predicate);
+        this.heldClicks = this.heldClicks.filter(click => !taken.includes(click));
+        return taken;
+    }
+
+    /**
+     * Check if a click was on a form control, an option inside it or one of its labels
+     */
+    isClickOn(clicked, control) {
+        if (!clicked || !control) return false;
+        if (clicked === control || control.contains(clicked)) return true;
+
+        const label = clicked.closest('label');
+        return Boolean(label) && (label.control === control || label.contains(control));
+    }
+
+    /**
+     * Check if an element is a button that submits the given form
+     */
+    isSubmitButtonOf(element, form) {
+        const button = element?.closest('button, input[type="submit"], input[type="image"]');
+        if (!button || button.form !== form) return false;
+
+        return button.tagName !== 'BUTTON' || button.type === 'submit';
+    }
+
+    /**
+     * Check if an input or change came from a field that takes typed text
+     */
+    isTextEntry(data) {
+        if (data.tagName === 'textarea') return true;
+        if (data.tagName !== 'input') return false;
+
+        const type = data.inputType || data.type || 'text';
+        return !['checkbox', 'radio', 'file', 'submit', 'button', 'reset', 'image'].includes(type);
+    }
+}
+
+/**
+ * In-page replayer for recorded actions
+ * Re-executes an action list, in the shape recordAction emits, against the
+ * current page and reports each step as passed, failed with the reason, or
+ * skipped, so a recording can be verified before any PHP test is generated.
+ */
+class PestReplayer {
+    /**
+     * @param {Object} options - Replay options
+     */
+    constructor(options = {}) {
+        this.options = {
+            selectorPriority: ['data-testid', 'id', 'name'],
+            // How long to wait for elements, recorded waits and assertions
+            timeout: 5000,
+            pollInterval: 50,
+            // Pause after each step, letting the page react
+            stepDelay: 100,
+            stopOnFailure: true,
+            // Values for redacted placeholders, e.g. { password: 'secret' } for {{password}}
+            values: {},
+            // Called with each step's result as it completes
+            onStep: null,
+            ...options
+        };
+
+        this.selectorGenerator = new SelectorGenerator(this.options.selectorPriority);
+        this.isReplaying = false;
+    }
+
+    /**
+     * Replay actions in order
+     *
+     * @param {Object[]} actions - Recorded actions
+     * @returns {Promise<{passed: boolean, steps: Object[], failedStep: Object|null}>}
+     */
+    async replay(actions) {
+        if (this.isReplaying) {
+            throw new Error('A replay is already running');
+        }
+
+        this.isReplaying = true;
+        const steps = [];
+
+        try {
+            for (const action of actions) {
+                const failed = steps.some(step => step.status === 'failed');
+                const step = failed && this.options.stopOnFailure
+                    ? this.result(action, 'skipped', { reason: 'previous-failure', message: 'An earlier step failed' })
+                    : await this.runStep(action);
+
+                steps.push(step);
+                this.options.onStep?.(step);
+            }
+        } finally {
+            this.isReplaying = false;
+        }
+
+        const failedStep = steps.find(step => step.status === 'failed') || null;
+        return { passed: failedStep === null, steps, failedStep };
+    }
+
+    /**
+     * Replay a single action and describe the outcome
+     */
+    async runStep(action) {
+        const started = performance.now();
+        const handler = this.getStepHandler(action.type);
+
+        if (!handler) {
+            return this.result(action, 'skipped', { reason: 'not-replayable', message: `${action.type} actions are not replayed` }, started);
+        }
+
+        try {
+            await handler.call(this, action.data || {});
+            await this.delay(this.options.stepDelay);
+            return this.result(action, 'passed', {}, started);
+        } catch (error) {
+            return this.result(action, 'failed', { reason: error.reason || 'error', message: error.message }, started);
+        }
+    }
+
+    /**
+     * Get the method that replays an action type
+     * Lifecycle, observer and network actions, and navigations the page makes
+     * itself, have nothing to replay.
+     */
+    getStepHandler(type) {
+        const handlers = {
+            click: this.replayClick,
+            press: this.replayClick,
+            dblclick: this.replayDoubleClick,
+            rightclick: this.replayRightClick,
+            input: this.replayFill,
+            fill: this.replayFill,
+            change: this.replayChange,
+            select: this.replaySelect,
+            check: this.replayCheck,
+            edit: this.replayEdit,
+            keydown: this.replayKey,
+            submit: this.replaySubmit,
+            attach: this.replayAttach,
+            drag: this.replayDrag,
+            scroll: this.replayScroll,
+            hover: this.replayHover,
+            wait: this.replayWait,
+            assert: this.replayAssert
+        };
+
+        return handlers[type] || null;
+    }
+
+    /**
+     * Build a step result
+     */
+    result(action, status, details = {}, started = null) {
+        return {
+            id: action.id ?? null,
+            type: action.type,
+            selector: action.data?.selector ?? null,
+            status,
+            reason: details.reason ?? null,
+            message: details.message ?? null,
+            duration: started === null ? 0 : Math.round(performance.now() - started)
+        };
+    }
+
+    /**
+     * Step handlers
+     */
+
+    async replayClick(data) {
+        this.dispatchClick(await this.resolveElement(data));
+    }
+
+    async replayDoubleClick(data) {
+        const element = await this.resolveElement(data);
+        this.dispatchClick(element, 1);
+        this.dispatchClick(element, 2);
+        element.dispatchEvent(new (this.getView(element).MouseEvent)('dblclick', this.getMouseInit(element, { detail: 2 })));
+    }
+
+    async replayRightClick(data) {
+        const element = await this.resolveElement(data);
+        const view = this.getView(element);
+        const init = this.getMouseInit(element, { button: 2, buttons: 2 });
+
+        element.dispatchEvent(new view.MouseEvent('mousedown', init));
+        element.dispatchEvent(new view.MouseEvent('mouseup', init));
+        element.dispatchEvent(new view.MouseEvent('contextmenu', init));
+    }
+
+    async replayFill(data) {
+        const element = await this.resolveElement(data);
+        if (element.readOnly) {
+            this.fail('read-only', `Element is read-only: ${data.selector}`);
+        }
+
+        element.focus();
+        this.setNativeValue(element, this.resolveValue(data.value));
+        this.dispatchInputEvents(element);
+    }
+
+    async replayChange(data) {
+        if (data.tagName === 'select') return this.replaySelect(data);
+        if (data.checked !== undefined) return this.replayCheck(data);
+        return this.replayFill(data);
+    }
+
+    async replaySelect(data) {
+        if (data.widget) return this.replayWidgetSelect(data);
+
+        const element = await this.resolveElement(data);
+        const values = (data.multiple ? data.values || [] : [data.value]).map(value => this.resolveValue(value));
+        const options = Array.from(element.options || []);
+
+        const missing = values.find(value => !options.some(option => option.value === value));
+        if (missing !== undefined) {
+            this.fail('no-option', `No option with value "${missing}" in ${data.selector}`);
+        }
+
+        element.focus();
+        if (data.multiple) {
+            options.forEach(option => { option.selected = values.includes(option.value); });
+        } else {
+            this.setNativeValue(element, values[0]);
+        }
+        this.dispatchInputEvents(element);
+    }
+
+    async replayWidgetSelect(data) {
+        // A listbox shown on its own needs no opening
+        if (data.widget !== 'listbox') {
+            this.dispatchClick(await this.resolveElement(data));
+        }
+
+        if (data.search) {
+            await this.replayFill({ ...data.search, frame: data.frame });
+        }
+
+        for (const option of data.picked || []) {
+            this.dispatchClick(await this.resolveElement({ selector: option.selector, frame: data.frame }));
+        }
+    }
+
+    async replayCheck(data) {
+        const element = await this.resolveElement(data);
+        const checked = Boolean(data.checked);
+
+        if (element.checked !== checked) {
+            this.dispatchClick(element);
+        }
+        if (element.checked !== checked) {
+            this.fail('assertion', `${data.selector} did not become ${checked ? 'checked' : 'unchecked'}`);
+        }
+    }
+
+    async replayEdit(data) {
+        const root = await this.resolveElement(data);
+        const text = this.resolveValue(data.text);
+        const previous = data.previousText;
+        const current = (root.textContent || '').replace(/ /g, ' ');
+
+        // Text added at the end is typed there, anything else replaces the content
+        const append = typeof previous === 'string' && text.startsWith(previous) && current.trimEnd() === previous.trimEnd();
+        const insert = append ? text.slice(previous.length) : text;
+
+        root.focus();
+        const doc = root.ownerDocument;
+        const range = doc.createRange();
+        range.selectNodeContents(root);
+        if (append) range.collapse(false);
+
+        const selection = doc.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        // insertText goes through the editor's own input handling where supported
+        if (!(typeof doc.execCommand === 'function' && doc.execCommand('insertText', false, insert))) {
+            root.textContent = append ? current + insert : insert;
+            root.dispatchEvent(new (this.getView(root).Event)('input', { bubbles: true, composed: true }));
+        }
+    }
+
+    async replayKey(data) {
+        const element = await this.resolveElement(data, false);
+        const view = this.getView(element);
+        const modifiers = data.modifiers || {};
+        const init = {
+            key: data.key,
+            code: data.code || '',
+            ctrlKey: Boolean(modifiers.ctrl),
+            shiftKey: Boolean(modifiers.shift),
+            altKey: Boolean(modifiers.alt),
+            metaKey: Boolean(modifiers.meta),
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        };
+
+        element.focus?.();
+        const proceed = element.dispatchEvent(new view.KeyboardEvent('keydown', init));
+        element.dispatchEvent(new view.KeyboardEvent('keyup', init));
+
+        // Synthetic key events have no default action, so Enter's implicit submission is done here
+        if (proceed && data.key === 'Enter' && element.form && element.tagName === 'INPUT') {
+            this.submitForm(element.form);
+        }
+    }
+
+    async replaySubmit(data) {
+        this.submitForm(await this.resolveElement(data, false));
+    }
+
+    async replayAttach(data) {
+        const element = await this.resolveElement(data);
+        const view = this.getView(element);
+        const files = (data.files || []).map(file => {
+            if (typeof file.content !== 'string') {
+                this.fail('missing-file', `The contents of ${file.name} were not captured; enable captureFileContents`);
+            }
+            const bytes = Uint8Array.from(atob(file.content), character => character.charCodeAt(0));
+            return new view.File([bytes], file.name, { type: file.type });
+        });
+
+        const transfer = new view.DataTransfer();
+        files.forEach(file => transfer.items.add(file));
+
+        if (element.tagName === 'INPUT' && element.type === 'file') {
+            element.files = transfer.files;
+            this.dispatchInputEvents(element);
+            return;
+        }
+
+        // Drop zones without a file input of their own receive the files as a drop
+        ['dragenter', 'dragover', 'drop'].forEach(type => {
+            element.dispatchEvent(new view.DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer: transfer }));
+        });
+    }
+
+    async replayDrag(data) {
+        const source = await this.resolveElement(data);
+        const target = await this.resolveElement({ selector: data.target, frame: data.frame });
+        const view = this.getView(source);
+        const from = this.getPoint(source, data.sourceOffset);
+        const to = this.getPoint(target, data.targetOffset);
+
+        if (data.method === 'native') {
+            const transfer = new view.DataTransfer();
+            const dragInit = point => ({ bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer: transfer });
+
+            source.dispatchEvent(new view.DragEvent('dragstart', dragInit(from)));
+            ['dragenter', 'dragover', 'drop'].forEach(type => target.dispatchEvent(new view.DragEvent(type, dragInit(to))));
+            source.dispatchEvent(new view.DragEvent('dragend', dragInit(to)));
+            return;
+        }
+
+        // Pointer-based libraries follow the pointer in small steps
+        const PointerEvent = view.PointerEvent || view.MouseEvent;
+        const pointerInit = (point, buttons) => ({
+            bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y,
+            button: 0, buttons, pointerId: 1, pointerType: 'mouse', isPrimary: true
+        });
+        const fire = (element, type, point, buttons) => {
+            element.dispatchEvent(new PointerEvent(`pointer${type}`, pointerInit(point, buttons)));
+            element.dispatchEvent(new view.MouseEvent(`mouse${type}`, pointerInit(point, buttons)));
+        };
+
+        fire(source, 'down', from, 1);
+        for (let step = 1; step <= 10; step++) {
+            const point = { x: from.x + (to.x - from.x) * step / 10, y: from.y + (to.y - from.y) * step / 10 };
+            fire(source.ownerDocument.elementFromPoint(point.x, point.y) || target, 'move', point, 1);
+            await this.delay(16);
+        }
+        fire(source.ownerDocument.elementFromPoint(to.x, to.y) || target, 'up', to, 0);
+    }
+
+    async replayScroll(data) {
+        window.scrollTo(data.scrollX || 0, data.scrollY || 0);
+    }
+
+    async replayHover(data) {
+        const element = await this.resolveElement(data, false);
+        const view = this.getView(element);
+        const init = this.getMouseInit(element);
+        const [over, enter] = data.action === 'leave' ? ['out', 'leave'] : ['over', 'enter'];
+
+        [`pointer${over}`, `pointer${enter}`].forEach(type => element.dispatchEvent(new (view.PointerEvent || view.MouseEvent)(type, init)));
+        [`mouse${over}`, `mouse${enter}`].forEach(type => element.dispatchEvent(new view.MouseEvent(type, init)));
+    }
+
+    async replayWait(data) {
+        for (const hint of data.waits || []) {
+            const describe = {
+                'loading-gone': `${hint.selector} to be gone`,
+                removed: `${hint.selector} to be gone`,
+                appeared: hint.text ? `"${hint.text}" to appear in ${hint.selector}` : `${hint.selector} to appear`,
+                text: `"${hint.text}" in ${hint.selector}`
+            }[hint.kind] || `${hint.kind} on ${hint.selector}`;
+
+            if (!await this.poll(() => this.holdsWait(hint, data.frame || []))) {
+                this.fail('timeout', `Timed out waiting for ${describe}`);
+            }
+        }
+    }
+
+    async replayAssert(data) {
+        let failure = null;
+        const passed = await this.poll(() => {
+            failure = this.checkAssertion(data);
+            return failure === null;
+        });
+
+        if (!passed) {
+            this.fail(failure.reason, failure.message);
+        }
+    }
+
+    /**
+     * Resolve an action's selector to exactly one element
+     *
+     * Waits up to the timeout for the element to appear, become unique and,
+     * for interactions, become enabled, and fails with the last reason.
+     */
+    async resolveElement(data, interactive = true) {
+        if (!data.selector) {
+            this.fail('not-found', 'The action has no selector');
+        }
+
+        let element = null;
+        let failure = null;
+
+        await this.poll(() => {
+            const matches = this.selectorGenerator.resolveAll(data.selector, data.frame || []);
+            element = matches.length === 1 ? matches[0] : null;
+
+            if (matches.length === 0) {
+                failure = ['not-found', `Selector not found: ${data.selector}`];
+            } else if (matches.length > 1) {
+                failure = ['not-unique', `Selector is not unique: ${data.selector} matches ${matches.length} elements`];
+            } else if (interactive && this.isDisabled(element)) {
+                failure = ['disabled', `Element is disabled: ${data.selector}`];
+            } else {
+                failure = null;
+            }
+
+            return failure === null;
+        });
+
+        if (failure) {
+            this.fail(...failure);
+        }
+
+        return element;
+    }
+
+    /**
+     * Check whether a wait hint holds
+     */
+    holdsWait(hint, frame) {
+        const visible = this.selectorGenerator.resolveAll(hint.selector, frame).filter(element => this.isVisible(element));
+
+        switch (hint.kind) {
+            case 'loading-gone':
+            case 'removed':
+                return visible.length === 0;
+            case 'appeared':
+            case 'text':
+                return visible.some(element => !hint.text || this.normalize(element.textContent).includes(hint.text));
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check an assertion against the page, returning null when it holds
+     */
+    checkAssertion(data) {
+        const expected = data.expected;
+        const mismatch = (actual) => ({ reason: 'assertion', message: `Expected ${data.kind} of ${data.selector || 'page'} to be ${JSON.stringify(expected)}, found ${JSON.stringify(actual)}` });
+
+        // URL assertions picked while recording hold the path; older recordings hold the full URL
+        if (data.kind === 'url') {
+            const actual = /^https?:\/\//.test(String(expected)) ? window.location.href : window.location.pathname;
+            return actual === expected ? null : mismatch(actual);
+        }
+
+        const matches = this.selectorGenerator.resolveAll(data.selector, data.frame || []);
+
+        switch (data.kind) {
+            case 'count':
+                return matches.length === Number(expected) ? null : mismatch(matches.length);
+            case 'hidden':
+                return matches.every(element => !this.isVisible(element)) ? null : mismatch('visible');
+        }
+
+        if (matches.length !== 1) {
+            return { reason: matches.length === 0 ? 'not-found' : 'not-unique', message: `Selector matches ${matches.length} elements: ${data.selector}` };
+        }
+
+        const element = matches[0];
+        switch (data.kind) {
+            case 'text':
+                return this.normalize(element.textContent).includes(String(expected)) ? null : mismatch(this.normalize(element.textContent));
+            case 'visible':
+                return this.isVisible(element) ? null : mismatch('hidden');
+            case 'value':
+                return element.value === this.resolveValue(String(expected)) ? null : mismatch(element.value);
+            case 'checked':
+                return element.checked === Boolean(expected) ? null : mismatch(element.checked);
+            case 'attribute':
+                return element.getAttribute(data.attribute) === expected ? null : mismatch(element.getAttribute(data.attribute));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Helper methods
+     */
+
+    /**
+     * Fail the current step with a reason code and message
+     */
+    fail(reason, message) {
+        throw Object.assign(new Error(message), { reason });
+    }
+
+    /**
+     * Poll a condition until it holds or the timeout passes
+     *
+     * @returns {Promise<boolean>} Whether the condition held
+     */
+    async poll(condition) {
+        const deadline = performance.now() + this.options.timeout;
+
+        while (true) {
+            if (condition()) return true;
+            if (performance.now() >= deadline) return false;
+            await this.delay(this.options.pollInterval);
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Replace a redacted placeholder such as {{password}} with its replay value
+     */
+    resolveValue(value) {
+        const match = /^\{\{([a-z0-9_]+)\}\}$/.exec(value ?? '');
+        if (!match) return value ?? '';
+
+        if (!(match[1] in this.options.values)) {
+            this.fail('missing-value', `No replay value for ${value}; pass it in the values option`);
+        }
+
+        return String(this.options.values[match[1]]);
+    }
+
+    /**
+     * Set a form control's value through its prototype's setter, which
+     * frameworks such as React watch instead of the instance property
+     */
+    setNativeValue(element, value) {
+        const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value')?.set;
+        if (setter) {
+            setter.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+
+    dispatchInputEvents(element) {
+        const view = this.getView(element);
+        element.dispatchEvent(new view.Event('input', { bubbles: true, composed: true }));
+        element.dispatchEvent(new view.Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Press and release the primary button on an element, then click it
+     * click() is used for the click itself, so default actions such as
+     * toggling a checkbox or submitting a form still happen.
+     */
+    dispatchClick(element, detail = 1) {
+        const view = this.getView(element);
+        const PointerEvent = view.PointerEvent || view.MouseEvent;
+        const init = this.getMouseInit(element, { detail, buttons: 1 });
+
+        element.scrollIntoView?.({ block: 'center', inline: 'center' });
+        element.dispatchEvent(new PointerEvent('pointerdown', init));
+        element.dispatchEvent(new view.MouseEvent('mousedown', init));
+        element.focus?.();
+        element.dispatchEvent(new PointerEvent('pointerup', { ...init, buttons: 0 }));
+        element.dispatchEvent(new view.MouseEvent('mouseup', { ...init, buttons: 0 }));
+        element.click();
+    }
+
+    submitForm(form) {
+        if (typeof form.requestSubmit === 'function') {
+            form.requestSubmit();
+        } else {
+            form.submit();
+        }
+    }
+
+    getMouseInit(element, overrides = {}) {
+        const point = this.getPoint(element);
+        return {
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            view: this.getView(element),
+            clientX: point.x,
+            clientY: point.y,
+            button: 0,
+            ...overrides
+        };
+    }
+
+    /**
+     * Get a point in an element, at a recorded offset or its centre
+     */
+    getPoint(element, offset = null) {
+        const rect = element.getBoundingClientRect();
+        return offset
+            ? { x: rect.left + offset.x, y: rect.top + offset.y }
+            : { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    /**
+     * Get the window an element lives in, for event constructors inside iframes
+     */
+    getView(element) {
+        return element.ownerDocument.defaultView || window;
+    }
+
+    isDisabled(element) {
+        return Boolean(element.disabled)
+            || Boolean(element.closest('fieldset:disabled'))
+            || element.getAttribute('aria-disabled') === 'true';
+    }
+
+    isVisible(element) {
+        if (typeof element.checkVisibility === 'function') {
+            return element.checkVisibility({ visibilityProperty: true });
+        }
+
+        const view = this.getView(element);
+        for (let current = element; current; current = current.parentElement) {
+            if (current.hidden || view.getComputedStyle(current).display === 'none') return false;
+        }
+        return view.getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+/**
+ * In-page toolbar for a recording session
+ * Shows the session state and a live list of recorded actions, and lets the
+ * user pause, resume, delete actions and highlight their target elements.
+ * Rendered in a closed shadow root marked pest-recorder-ignore, so its own
+ * interactions are never recorded.
+ */
+class RecorderToolbar {
+    /**
+     * @param {PestRecorder} recorder - Recorder this toolbar controls
+     */
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.host = null;
+        this.root = null;
+        this.pendingAssertion = null;
+
+        // Results of the last replay, by action id
+        this.replaySteps = new Map();
+        this.replaySummary = null;
+    }
+
+    /**
+     * Add the toolbar to the page
+     */
+    mount() {
+        if (this.host) return;
+
+        this.host = document.createElement('div');
+        this.host.id = 'pest-recorder-toolbar';
+        this.host.className = 'pest-recorder-ignore';
+        this.host.dataset.pestIgnore = 'true';
+
+        this.root = this.host.attachShadow({ mode: 'closed' });
+        this.root.innerHTML = `
+            <style>${this.getStyles()}</style>
+            <div class="toolbar">
+                <div class="header">
+                    <span class="status"></span>
+                    <span class="label"></span>
+                    <span class="count"></span>
+                </div>
+                <div class="controls">
+                    <button type="button" data-command="toggle"></button>
+                    <button type="button" data-command="undo">Delete last</button>
+                    <button type="button" data-command="inspect"></button>
+                    <button type="button" data-command="replay">Replay</button>
+                </div>
+                <div class="replay-result" hidden></div>
+                <div class="picker" hidden>
+                    <div class="picker-title">Add assertion</div>
+                    <ul class="options"></ul>
+                    <button type="button" data-command="cancel-assert">Cancel</button>
+                </div>
+                <ol class="actions"></ol>
+            </div>
+            <div class="highlight"></div>
+        `;
+
+        this.root.addEventListener('click', event => this.handleClick(event));
+        this.root.addEventListener('mouseover', event => this.handleMouseOver(event));
+        this.root.querySelector('.actions').addEventListener('mouseleave', () => this.clearHighlight());
+
+        (document.body || document.documentElement).appendChild(this.host);
+        this.render();
+    }
+
+    /**
+     * Remove the toolbar from the page
+     */
+    unmount() {
+        if (this.host) {
+            this.host.remove();
+        }
+        this.host = null;
+        this.root = null;
+    }
+
+    /**
+     * Re-render session state and the action list
+     */
+    render() {
+        if (!this.root) return;
+
+        const recorder = this.recorder;
+        const actions = recorder.getUserActions();
+
+        this.root.querySelector('.toolbar').classList.toggle('paused', recorder.isPaused);
+        this.root.querySelector('.toolbar').classList.toggle('replaying', recorder.isReplaying);
+        this.root.querySelector('.label').textContent = recorder.isReplaying ? 'Replaying' : recorder.isPaused ? 'Paused' : 'Recording';
+        this.root.querySelector('.label').title = `Session ${recorder.sessionId}`;
+        this.root.querySelector('.count').textContent = `${actions.length} action${actions.length === 1 ? '' : 's'}`;
+        this.root.querySelector('[data-command="toggle"]').textContent = recorder.isPaused ? 'Resume' : 'Pause';
+        this.root.querySelector('[data-command="undo"]').disabled = actions.length === 0;
+        this.root.querySelector('[data-command="inspect"]').textContent = recorder.isInspecting ? 'Stop asserting' : 'Assert';
+        this.root.querySelector('.toolbar').classList.toggle('inspecting', recorder.isInspecting);
+        this.root.querySelector('[data-command="replay"]').disabled = recorder.isReplaying || actions.length === 0;
+
+        const result = this.root.querySelector('.replay-result');
+        result.hidden = this.replaySummary === null;
+        result.textContent = this.replaySummary?.text ?? '';
+        result.classList.toggle('failed', this.replaySummary?.passed === false);
+
+        const list = this.root.querySelector('.actions');
+        list.replaceChildren(...actions.map(action => this.renderAction(action)));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Render a single entry of the action list
+     */
+    renderAction(action) {
+        const item = document.createElement('li');
+        item.dataset.actionId = String(action.id);
+
+        const label = document.createElement('span');
+        label.className = 'description';
+        label.textContent = this.describe(action);
+        label.title = label.textContent;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.command = 'remove';
+        remove.title = 'Delete this action';
+        remove.textContent = '\u00d7';
+
+        item.append(label, remove);
+        this.applyStep(item, this.replaySteps.get(action.id));
+        return item;
+    }
+
+    /**
+     * Mark an action's list entry with its replay result
+     */
+    markStep(step) {
+        this.replaySteps.set(step.id, step);
+
+        const item = this.root?.querySelector(`.actions li[data-action-id="${step.id}"]`);
+        if (item) {
+            this.applyStep(item, step);
+        }
+    }
+
+    /**
+     * Show a replay step's status on a list entry
+     */
+    applyStep(item, step) {
+        if (!step) return;
+
+        item.classList.add(step.status);
+        if (step.message) {
+            item.title = step.message;
+        }
+    }
+
+    /**
+     * Replay the recording and summarize the result
+     */
+    async replay() {
+        this.replaySteps.clear();
+        this.replaySummary = null;
+
+        try {
+            const result = await this.recorder.replay();
+            const count = result.steps.filter(step => step.status === 'passed').length;
+            this.replaySummary = result.passed
+                ? { passed: true, text: `Replay passed: ${count} step${count === 1 ? '' : 's'}` }
+                : { passed: false, text: `Replay failed: ${result.failedStep.message}` };
+        } catch (e) {
+            this.replaySummary = { passed: false, text: `Replay failed: ${e.message}` };
+        }
+
+        this.render();
+    }
+
+    /**
+     * Describe an action in one line
+     */
+    describe(action) {
+        const data = action.data || {};
+        const target = data.selector || data.url || '';
+        const shown = data.value ?? data.text;
+        const value = shown !== undefined && shown !== null ? ` = "${shown}"` : '';
+        const files = data.files ? ` (${data.files.map(file => file.name).join(', ')})` : '';
+        const dropTarget = action.type === 'drag' && data.target ? ` → ${data.target}` : '';
+        const frame = data.frame && data.frame.length > 0 ? ` (in ${data.frame.join(' > ')})` : '';
+        const warning = data.selectorWarning ? ` [selector was ${data.selectorWarning}]` : '';
+
+        return `${action.type} ${target}${dropTarget}${value}${files}${frame}${warning}`.trim();
+    }
+
+    /**
+     * Handle toolbar button clicks
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-command]');
+        if (!button) return;
+
+        switch (button.dataset.command) {
+            case 'toggle':
+                if (this.recorder.isPaused) {
+                    this.recorder.resume();
+                } else {
+                    this.recorder.pause();
+                }
+                break;
+            case 'undo':
+                this.clearHighlight();
+                this.recorder.removeLastAction();
+                break;
+            case 'remove':
+                this.clearHighlight();
+                this.recorder.removeAction(Number(button.closest('li').dataset.actionId));
+                break;
+            case 'inspect':
+                this.hideAssertionPicker();
+                this.recorder.toggleInspectMode();
+                break;
+            case 'assert':
+                this.confirmAssertion(Number(button.dataset.index));
+                break;
+            case 'cancel-assert':
+                this.hideAssertionPicker();
+                break;
+            case 'replay':
+                this.hideAssertionPicker();
+                this.replay();
+                break;
+        }
+    }
+
+    /**
+     * Show the assertion kinds for a picked element
+     */
+    showAssertionPicker(element, options) {
+        if (!this.root) return;
+
+        this.pendingAssertion = { element, options };
+        this.highlightElement(element);
+
+        const list = this.root.querySelector('.options');
+        list.replaceChildren(...options.map((option, index) => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.className = 'description';
+            label.textContent = option.label;
+            label.title = option.label;
+            item.append(label);
+
+            // Booleans are taken from the element's state; everything else can be edited
+            if (typeof option.expected !== 'boolean') {
+                const input = document.createElement('input');
+                input.value = option.expected === null || option.expected === undefined ? '' : String(option.expected);
+                item.append(input);
+            }
+
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.dataset.command = 'assert';
+            add.dataset.index = String(index);
+            add.textContent = 'Add';
+            item.append(add);
+
+            return item;
+        }));
+
+        this.root.querySelector('.picker').hidden = false;
+    }
+
+    /**
+     * Record the chosen assertion with any edited expected value
+     */
+    confirmAssertion(index) {
+        if (!this.pendingAssertion) return;
+
+        const { element, options } = this.pendingAssertion;
+        const option = { ...options[index] };
+        const input = this.root.querySelectorAll('.options li')[index]?.querySelector('input');
+
+        if (input) {
+            option.expected = option.kind === 'count' ? Number(input.value) : input.value;
+        }
+
+        this.hideAssertionPicker();
+        this.recorder.recordAssertion(option, element);
+        this.recorder.toggleInspectMode(false);
+    }
+
+    /**
+     * Close the assertion picker
+     */
+    hideAssertionPicker() {
+        this.pendingAssertion = null;
+        if (this.root) {
+            this.root.querySelector('.picker').hidden = true;
+            this.clearHighlight();
+        }
+    }
+
+    /**
+     * Check whether an element is waiting for an assertion kind to be chosen
+     */
+    hasPendingAssertion() {
+        return this.pendingAssertion !== null;
+    }
+
+    /**
+     * Highlight the element of the hovered list entry
+     */
+    handleMouseOver(event) {
+        const item = event.target.closest('li[data-action-id]');
+        if (!item) return;
+
+        const id = Number(item.dataset.actionId);
+        const action = this.recorder.actions.find(candidate => candidate.id === id);
+        this.highlight(action?.data?.selector, action?.data?.frame || []);
+    }
+
+    /**
+     * Outline the element a selector resolves to
+     *
+     * @returns {boolean} Whether an element was found
+     */
+    highlight(selector, frame = []) {
+        const element = this.recorder.selectorGenerator.resolveAll(selector, frame)[0];
+        if (!element) {
+            this.clearHighlight();
+            return false;
+        }
+
+        this.highlightElement(element);
+        return true;
+    }
+
+    /**
+     * Outline an element
+     */
+    highlightElement(element) {
+        if (!this.root) return;
+
+        const box = this.root.querySelector('.highlight');
+        const rect = element.getBoundingClientRect();
+        let left = rect.left;
+        let top = rect.top;
+
+        // Offset elements inside iframes by their frames' positions
+        for (let view = element.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.frameElement.ownerDocument.defaultView) {
+            const frameRect = view.frameElement.getBoundingClientRect();
+            left += frameRect.left;
+            top += frameRect.top;
+        }
+
+        Object.assign(box.style, {
+            display: 'block',
+            left: `${left}px`,
+            top: `${top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    /**
+     * Hide the element highlight
+     */
+    clearHighlight() {
+        if (this.root) {
+            this.root.querySelector('.highlight').style.display = 'none';
+        }
+    }
+
+    /**
+     * Toolbar styles, scoped by the shadow root
+     */
+    getStyles() {
+        return `
+            :host { all: initial; }
+            .toolbar {
+                position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+                width: 320px; max-height: 50vh; display: flex; flex-direction: column;
+                background: #1f2937; color: #f9fafb; border-radius: 8px;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+                font: 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+            }
+            .header, .controls { display: flex; align-items: center; gap: 8px; padding: 8px 12px; }
+            .status { width: 10px; height: 10px; border-radius: 50%; background: #ef4444; }
+            .paused .status { background: #f59e0b; }
+            .label { font-weight: 600; }
+            .count { margin-left: auto; color: #9ca3af; }
+            .controls { padding-top: 0; }
+            button {
+                font: inherit; color: inherit; cursor: pointer;
+                background: #374151; border: 0; border-radius: 4px; padding: 4px 8px;
+            }
+            button:hover { background: #4b5563; }
+            button:disabled { opacity: 0.5; cursor: default; }
+            .inspecting .status { background: #3b82f6; }
+            .picker { padding: 0 12px 8px; border-bottom: 1px solid #374151; }
+            .picker[hidden] { display: none; }
+            .picker-title { font-weight: 600; padding-bottom: 4px; }
+            .options { margin: 0 0 8px; padding: 0; list-style: none; }
+            .options li { display: flex; align-items: center; gap: 8px; padding: 2px 0; }
+            .options input {
+                width: 110px; font: inherit; color: inherit;
+                background: #111827; border: 1px solid #4b5563; border-radius: 4px; padding: 2px 4px;
+            }
+            .actions { margin: 0; padding: 0 0 8px; list-style: none; overflow-y: auto; }
+            .actions li { display: flex; align-items: center; gap: 8px; padding: 2px 12px; }
+            .actions li:hover { background: #374151; }
+            .description { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: ui-monospace, monospace; }
+            .actions button { padding: 0 6px; }
+            .replaying .status { background: #8b5cf6; }
+            .replay-result { padding: 0 12px 8px; color: #34d399; }
+            .replay-result.failed { color: #f87171; }
+            .replay-result[hidden] { display: none; }
+            .actions li.passed .description { color: #34d399; }
+            .actions li.failed .description { color: #f87171; }
+            .actions li.skipped .description { color: #6b7280; }
+            .highlight {
+                position: fixed; display: none; pointer-events: none; z-index: 2147483646;
+                outline: 2px solid #3b82f6; background: rgba(59, 130, 246, 0.15);
+            }
+        `;
+    }
+}
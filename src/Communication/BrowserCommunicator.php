@@ -21,6 +21,16 @@ final class BrowserCommunicator
      */
     private const MAX_ACTIONS_PER_POLL = 50;
 
+    /**
+     * Longest string kept in action data
+     */
+    private const MAX_STRING_LENGTH = 10000;
+
+    /**
+     * Longest base64 file content kept: the encoding of RecordingConfig::MAX_FILE_CONTENT_SIZE bytes
+     */
+    private const MAX_CONTENT_LENGTH = 1398104;
+
     /**
      * Timeout for JavaScript evaluation (in milliseconds)
      */
@@ -38,10 +48,20 @@ final class BrowserCommunicator
         'actionsProcessed' => 0,
         'errors' => 0,
         'lastPollTime' => null,
+        'duplicates' => 0,
+        'missingActions' => 0,
     ];
 
     /**
-     * @param callable|null $actionHandler Callback to handle received actions
+     * Highest sequence number received from each recorder, keyed by its stream id
+     *
+     * @var array<string, int>
+     */
+    private array $acknowledged = [];
+
+    /**
+     * @param callable|null $actionHandler Callback to handle received actions, called with
+     *     the action's type, its data and its envelope: the recorder's id and sequence number
      */
     public function __construct(?callable $actionHandler = null)
     {
@@ -83,8 +103,8 @@ final class BrowserCommunicator
         $this->stats['lastPollTime'] = time();
 
         try {
-            $actions = $this->retrieveActionsFromBrowser($page);
-            $validActions = $this->validateAndProcessActions($actions);
+            $batch = $this->retrieveActionsFromBrowser($page);
+            $validActions = $this->acceptBatch($batch);
             
             $this->stats['actionsProcessed'] += count($validActions);
             
@@ -99,13 +119,40 @@ final class BrowserCommunicator
         }
     }
 
+    /**
+     * Receive a batch of actions pushed by the browser
+     *
+     * Call this from a binding exposed to the page as window.__pestRecordingPush
+     * and return the result to the browser, which sends the batch again until
+     * its actions are acknowledged.
+     *
+     * @param mixed $batch The batch the recorder pushed: {stream, actions}
+     * @return array{acknowledged: int} The highest sequence number received from the batch's recorder
+     */
+    public function receiveBatch(mixed $batch): array
+    {
+        $validActions = $this->acceptBatch($batch);
+        $this->stats['actionsProcessed'] += count($validActions);
+
+        $stream = is_array($batch) && is_string($batch['stream'] ?? null) ? $batch['stream'] : '';
+
+        return ['acknowledged' => $this->acknowledged[$stream] ?? 0];
+    }
+
     /**
      * Send a message to the browser
+     *
+     * The recorder acknowledges each message with a command:ack action
+     * carrying the returned id as commandId.
+     *
+     * @return string The message id
      */
-    public function sendMessageToBrowser(Page $page, string $type, array $data = []): void
+    public function sendMessageToBrowser(Page $page, string $type, array $data = []): string
     {
         try {
+            $id = uniqid('cmd_', true);
             $message = [
+                'id' => $id,
                 'type' => $type,
                 'data' => $data,
                 'timestamp' => time(),
@@ -116,6 +163,8 @@ final class BrowserCommunicator
             }';
 
             $page->evaluate($script);
+
+            return $id;
         } catch (JsonException $e) {
             throw new InvalidArgumentException(
                 "Failed to serialize message data: " . $e->getMessage(),
@@ -151,7 +200,7 @@ final class BrowserCommunicator
     {
         try {
             $cleanupScript = '
-                if (window.__pestRecorder) {
+                if (window.__pestRecorder && window.__pestRecorder.isRecording) {
                     window.__pestRecorder.stop();
                 }
                 if (window.__pestRecordingSession) {
@@ -188,13 +237,17 @@ final class BrowserCommunicator
             'actionsProcessed' => 0,
             'errors' => 0,
             'lastPollTime' => null,
+            'duplicates' => 0,
+            'missingActions' => 0,
         ];
     }
 
     /**
      * Build the JavaScript initialization script
+     *
+     * Public so it can also run from an init script, before any poll reaches a newly loaded page.
      */
-    private function buildInitializationScript(string $sessionId): string
+    public function buildInitializationScript(string $sessionId): string
     {
         return '
             // Initialize communication arrays
@@ -243,10 +296,18 @@ final class BrowserCommunicator
 
     /**
      * Retrieve actions from the browser and clear the queue
+     *
+     * A running recorder hands out a numbered batch and keeps its actions
+     * until a later poll acknowledges them; the plain queue is read otherwise.
      */
     private function retrieveActionsFromBrowser(Page $page): mixed
     {
         $script = '
+            const recorder = window.__pestRecorder;
+            if (recorder && typeof recorder.takeBatch === "function") {
+                const acknowledged = ' . json_encode((object)$this->acknowledged) . ';
+                return recorder.takeBatch(' . self::MAX_ACTIONS_PER_POLL . ', acknowledged[recorder.sessionId] || 0);
+            }
             if (window.__pestRecordingActions) {
                 const actions = [...window.__pestRecordingActions].slice(0, ' . self::MAX_ACTIONS_PER_POLL . ');
                 window.__pestRecordingActions = window.__pestRecordingActions.slice(' . self::MAX_ACTIONS_PER_POLL . ');
@@ -258,6 +319,49 @@ final class BrowserCommunicator
         return $page->evaluate($script);
     }
 
+    /**
+     * Drop the actions of a numbered batch that were received before, and
+     * count the ones that never arrived, then validate and process the rest
+     *
+     * @param mixed $batch A numbered batch ({stream, actions}) or a plain list of actions
+     * @return array<array<string, mixed>> Validated actions
+     */
+    private function acceptBatch(mixed $batch): array
+    {
+        if (!is_array($batch) || !is_string($batch['stream'] ?? null) || !is_array($batch['actions'] ?? null)) {
+            return $this->validateAndProcessActions($batch);
+        }
+
+        $stream = $batch['stream'];
+        $fresh = [];
+
+        foreach ($batch['actions'] as $action) {
+            $sequence = is_array($action) && is_int($action['sequence'] ?? null) ? $action['sequence'] : null;
+
+            // Actions the communication script queues itself, such as heartbeats, are sent once without a number
+            if ($sequence === null) {
+                $fresh[] = $action;
+                continue;
+            }
+
+            $last = $this->acknowledged[$stream] ?? 0;
+            if ($sequence <= $last) {
+                $this->stats['duplicates']++;
+                continue;
+            }
+
+            if ($sequence > $last + 1) {
+                $this->stats['missingActions'] += $sequence - $last - 1;
+                error_log("Recording stream {$stream} is missing actions " . ($last + 1) . ' to ' . ($sequence - 1));
+            }
+
+            $this->acknowledged[$stream] = $sequence;
+            $fresh[] = $action;
+        }
+
+        return $this->validateAndProcessActions($fresh);
+    }
+
     /**
      * Validate and process actions received from the browser
      * 
@@ -299,6 +403,12 @@ final class BrowserCommunicator
                 'url' => isset($action['url']) && is_string($action['url'])
                     ? $this->sanitizeString($action['url'])
                     : '',
+                'sequence' => isset($action['sequence']) && is_int($action['sequence'])
+                    ? $action['sequence']
+                    : null,
+                'id' => isset($action['id']) && is_int($action['id'])
+                    ? $action['id']
+                    : null,
             ];
 
             $validActions[] = $validatedAction;
@@ -306,7 +416,10 @@ final class BrowserCommunicator
             // Call the action handler if set
             if ($this->actionHandler) {
                 try {
-                    call_user_func($this->actionHandler, $validatedAction['type'], $validatedAction['data']);
+                    call_user_func($this->actionHandler, $validatedAction['type'], $validatedAction['data'], [
+                        'id' => $validatedAction['id'],
+                        'sequence' => $validatedAction['sequence'],
+                    ]);
                 } catch (\Exception $e) {
                     error_log("Action handler error: " . $e->getMessage());
                 }
@@ -319,22 +432,22 @@ final class BrowserCommunicator
     /**
      * Sanitize action data to prevent injection attacks
      * 
-     * @param array<string, mixed> $data
-     * @return array<string, mixed>
+     * @param array<int|string, mixed> $data
+     * @return array<int|string, mixed>
      */
     private function sanitizeActionData(array $data): array
     {
         $sanitized = [];
 
         foreach ($data as $key => $value) {
-            if (!is_string($key)) {
-                continue;
-            }
-
-            $sanitizedKey = $this->sanitizeString($key);
+            // Integer keys are list entries (e.g. frame paths) and are kept as-is
+            $sanitizedKey = is_string($key) ? $this->sanitizeString($key) : $key;
 
             if (is_string($value)) {
-                $sanitized[$sanitizedKey] = $this->sanitizeString($value);
+                // Captured file contents are base64 and run far longer than other values
+                $sanitized[$sanitizedKey] = $sanitizedKey === 'content'
+                    ? $this->sanitizeString($value, self::MAX_CONTENT_LENGTH)
+                    : $this->sanitizeString($value);
             } elseif (is_numeric($value)) {
                 $sanitized[$sanitizedKey] = $value;
             } elseif (is_bool($value)) {
@@ -352,12 +465,12 @@ final class BrowserCommunicator
     /**
      * Sanitize string values
      */
-    private function sanitizeString(string $value): string
+    private function sanitizeString(string $value, int $maxLength = self::MAX_STRING_LENGTH): string
     {
         // Remove null bytes and control characters except for common whitespace
         $sanitized = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/', '', $value);
         
         // Limit length to prevent memory issues
-        return mb_substr($sanitized ?: '', 0, 10000);
+        return mb_substr($sanitized ?: '', 0, $maxLength);
     }
 }
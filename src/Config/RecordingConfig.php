@@ -13,6 +13,11 @@ namespace PestPluginBrowserRecording\Config;
  */
 final class RecordingConfig
 {
+    /**
+     * Largest maxFileContentSize, in bytes; the browser sends contents base64-encoded in one action
+     */
+    public const MAX_FILE_CONTENT_SIZE = 1048576;
+
     /**
      * Default configuration values
      */
@@ -26,12 +31,54 @@ final class RecordingConfig
         'selectorPriority' => ['data-testid', 'id', 'name', 'class'],
         'useStableSelectors' => true,
         'includeAriaAttributes' => true,
+        'detectSelectorDrift' => true, // Re-check recorded selectors after DOM changes and regenerate broken ones
         
         // Recording behavior
         'includeHoverActions' => false,
+        'hoverEffectWindow' => 1000, // Milliseconds after hovering in which a visible effect keeps the hover
         'captureKeyboardShortcuts' => false,
+        'captureNavigationKeys' => true,
         'recordScrollPosition' => false,
         'recordViewportChanges' => true,
+        'showToolbar' => true,
+        'assertionHotkey' => 'Alt+Shift+A',
+        'debugRawEvents' => false,
+        'capturePopups' => true, // Record windows and tabs opened by links, forms and window.open
+        'captureDialogs' => true, // Record alert, confirm, prompt and beforeunload dialogs and their answers
+        
+        // Network activity
+        'captureNetwork' => true,
+        'networkIgnore' => [], // Regular expressions for request URLs to leave out
+        'networkLinkWindow' => 1000, // Milliseconds after an action in which its requests may start
+        
+        // Wait inference
+        'inferWaits' => true,
+        'waitSettleWindow' => 2000, // Milliseconds of DOM changes after an action turned into wait hints
+        'loadingSelectors' => [
+            '[aria-busy="true"]', '[role="progressbar"]', '.spinner', '.loading', '.loader',
+            '[class*="spinner"]', '[class*="loading"]', '[data-loading]', '[wire\\:loading]',
+        ],
+        
+        // File uploads
+        'captureFileContents' => false,
+        'maxFileContentSize' => 102400, // Bytes
+        'fixtureDirectory' => 'tests/Fixtures',
+        
+        // Sensitive field redaction
+        'redaction' => [
+            'patterns' => [
+                'password', 'passwd', 'passcode', 'secret', 'token', 'api key', 'ssn', 'social security',
+                'tax id', 'credit card', 'card number', 'cvv', 'cvc', 'csc', 'iban', 'pin', 'otp',
+            ],
+            'autocomplete' => [
+                'current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc',
+                'cc-exp', 'cc-exp-month', 'cc-exp-year',
+            ],
+            'maskAttribute' => 'data-pest-mask',
+            'allow' => [],
+            'deny' => [],
+        ],
+        'redactedValues' => 'env', // 'env', 'placeholder'
         
         // File safety (backups disabled by default)
         'backupFiles' => false,
@@ -48,7 +95,13 @@ final class RecordingConfig
         // Performance
         'throttleScrollEvents' => true,
         'debounceInputEvents' => true,
-        'maxActionsPerSession' => 10000,
+        'maxActionsPerSession' => 10000, // Actions the browser keeps and queues for polling; the oldest are dropped first
+        'actionRateLimit' => 20, // Per second, for each type of action the page causes on its own
+        'logLevel' => 'warn', // 'silent', 'error', 'warn', 'info', 'debug'
+        
+        // Transport
+        'pushTransport' => false, // Push actions through window.__pestRecordingPush, once a binding for it is exposed
+        'pushRetries' => 5, // Failed pushes in a row before the browser leaves delivery to polling
     ];
 
     /**
@@ -147,6 +200,15 @@ final class RecordingConfig
         return $this;
     }
 
+    /**
+     * Enable/disable re-checking recorded selectors after DOM changes and navigations
+     */
+    public function detectSelectorDrift(bool $enabled = true): self
+    {
+        $this->config['detectSelectorDrift'] = $enabled;
+        return $this;
+    }
+
     /**
      * Enable/disable ARIA attributes in selectors
      */
@@ -157,11 +219,14 @@ final class RecordingConfig
     }
 
     /**
-     * Enable/disable hover action recording
+     * Enable/disable recording hovers with a visible effect, which must show within the given milliseconds
      */
-    public function includeHoverActions(bool $enabled = true): self
+    public function includeHoverActions(bool $enabled = true, ?int $effectWindow = null): self
     {
         $this->config['includeHoverActions'] = $enabled;
+        if ($effectWindow !== null) {
+            $this->config['hoverEffectWindow'] = $effectWindow;
+        }
         return $this;
     }
 
@@ -174,6 +239,15 @@ final class RecordingConfig
         return $this;
     }
 
+    /**
+     * Enable/disable recording Enter, Tab, Escape, arrows and other non-text keys
+     */
+    public function captureNavigationKeys(bool $enabled = true): self
+    {
+        $this->config['captureNavigationKeys'] = $enabled;
+        return $this;
+    }
+
     /**
      * Enable/disable scroll position recording
      */
@@ -192,6 +266,155 @@ final class RecordingConfig
         return $this;
     }
 
+    /**
+     * Enable/disable the in-page recorder toolbar
+     */
+    public function showToolbar(bool $enabled = true): self
+    {
+        $this->config['showToolbar'] = $enabled;
+        return $this;
+    }
+
+    /**
+     * Set the hotkey that toggles assertion picking, e.g. "Alt+Shift+A"
+     */
+    public function assertionHotkey(string $hotkey): self
+    {
+        $this->config['assertionHotkey'] = $hotkey;
+        return $this;
+    }
+
+    /**
+     * Enable/disable keeping the raw browser events behind each recorded action, for debugging
+     */
+    public function debugRawEvents(bool $enabled = true): self
+    {
+        $this->config['debugRawEvents'] = $enabled;
+        return $this;
+    }
+
+    /**
+     * Enable/disable recording popups and new tabs opened by links, forms and window.open
+     */
+    public function capturePopups(bool $enabled = true): self
+    {
+        $this->config['capturePopups'] = $enabled;
+        return $this;
+    }
+
+    /**
+     * Enable/disable recording alert, confirm, prompt and beforeunload dialogs and how they were answered
+     */
+    public function captureDialogs(bool $enabled = true): self
+    {
+        $this->config['captureDialogs'] = $enabled;
+        return $this;
+    }
+
+    /**
+     * Enable/disable recording fetch and XMLHttpRequest requests, leaving out URLs matching the given patterns
+     * 
+     * @param array<string> $ignore Regular expressions matched against request URLs
+     */
+    public function captureNetwork(bool $enabled = true, array $ignore = []): self
+    {
+        $this->config['captureNetwork'] = $enabled;
+        if (!empty($ignore)) {
+            $this->config['networkIgnore'] = $ignore;
+        }
+        return $this;
+    }
+
+    /**
+     * Enable/disable turning DOM changes after each action into wait hints, collected for the given milliseconds
+     */
+    public function inferWaits(bool $enabled = true, ?int $settleWindow = null): self
+    {
+        $this->config['inferWaits'] = $enabled;
+        if ($settleWindow !== null) {
+            $this->config['waitSettleWindow'] = $settleWindow;
+        }
+        return $this;
+    }
+
+    /**
+     * Set the selectors that identify loading indicators such as spinners
+     * 
+     * @param array<string> $selectors
+     */
+    public function loadingSelectors(array $selectors): self
+    {
+        $this->config['loadingSelectors'] = $selectors;
+        return $this;
+    }
+
+    /**
+     * Enable/disable capturing the contents of uploaded files up to the given size in bytes
+     */
+    public function captureFileContents(bool $enabled = true, ?int $maxSize = null): self
+    {
+        $this->config['captureFileContents'] = $enabled;
+        if ($maxSize !== null) {
+            $this->config['maxFileContentSize'] = $maxSize;
+        }
+        return $this;
+    }
+
+    /**
+     * Set the directory generated attach() calls look for upload fixtures in
+     */
+    public function fixtureDirectory(string $directory): self
+    {
+        $this->config['fixtureDirectory'] = $directory;
+        return $this;
+    }
+
+    /**
+     * Adjust how sensitive fields are detected
+     * 
+     * @param array<string, mixed> $options Any of patterns, autocomplete, maskAttribute, allow and deny
+     */
+    public function redaction(array $options): self
+    {
+        $this->config['redaction'] = array_merge($this->config['redaction'], $options);
+        return $this;
+    }
+
+    /**
+     * Always redact fields matching the given selectors
+     * 
+     * @param array<string> $selectors
+     */
+    public function redactFields(array $selectors): self
+    {
+        $this->config['redaction']['deny'] = array_values(array_unique(
+            array_merge($this->config['redaction']['deny'] ?? [], $selectors)
+        ));
+        return $this;
+    }
+
+    /**
+     * Never redact fields matching the given selectors
+     * 
+     * @param array<string> $selectors
+     */
+    public function allowFields(array $selectors): self
+    {
+        $this->config['redaction']['allow'] = array_values(array_unique(
+            array_merge($this->config['redaction']['allow'] ?? [], $selectors)
+        ));
+        return $this;
+    }
+
+    /**
+     * Set how generated tests bind redacted values: 'env' or 'placeholder'
+     */
+    public function redactedValues(string $binding): self
+    {
+        $this->config['redactedValues'] = $binding;
+        return $this;
+    }
+
     /**
      * Enable/disable file backups
      */
@@ -291,6 +514,36 @@ final class RecordingConfig
         return $this;
     }
 
+    /**
+     * Set how many DOM change, visibility, network and scroll actions of each type are recorded per second
+     */
+    public function actionRateLimit(int $perSecond): self
+    {
+        $this->config['actionRateLimit'] = $perSecond;
+        return $this;
+    }
+
+    /**
+     * Set the recorder's console output level
+     */
+    public function logLevel(string $level): self
+    {
+        $this->config['logLevel'] = $level;
+        return $this;
+    }
+
+    /**
+     * Enable/disable pushing actions through window.__pestRecordingPush, with polling as the fallback
+     */
+    public function pushTransport(bool $enabled = true, ?int $retries = null): self
+    {
+        $this->config['pushTransport'] = $enabled;
+        if ($retries !== null) {
+            $this->config['pushRetries'] = $retries;
+        }
+        return $this;
+    }
+
     // =================================================================
     // GETTER METHODS
     // =================================================================
@@ -389,10 +642,10 @@ final class RecordingConfig
 
         // Validate boolean options
         $booleanOptions = [
-            'autoAssertions', 'generateComments', 'useStableSelectors', 'includeAriaAttributes',
-            'includeHoverActions', 'captureKeyboardShortcuts', 'recordScrollPosition', 'recordViewportChanges',
-            'backupFiles', 'autoCleanupBackups', 'useTypeForInputs', 'chainMethods',
-            'throttleScrollEvents', 'debounceInputEvents'
+            'autoAssertions', 'generateComments', 'useStableSelectors', 'includeAriaAttributes', 'detectSelectorDrift',
+            'includeHoverActions', 'captureKeyboardShortcuts', 'captureNavigationKeys', 'recordScrollPosition', 'recordViewportChanges',
+            'showToolbar', 'debugRawEvents', 'capturePopups', 'captureDialogs', 'captureNetwork', 'inferWaits', 'captureFileContents', 'backupFiles', 'autoCleanupBackups', 'useTypeForInputs', 'chainMethods',
+            'throttleScrollEvents', 'debounceInputEvents', 'pushTransport'
         ];
 
         foreach ($booleanOptions as $option) {
@@ -402,18 +655,40 @@ final class RecordingConfig
         }
 
         // Validate integer options
-        $integerOptions = ['maxBackupsPerFile', 'maxActionsPerSession'];
+        $integerOptions = ['maxBackupsPerFile', 'maxActionsPerSession', 'maxFileContentSize', 'networkLinkWindow', 'waitSettleWindow', 'hoverEffectWindow', 'actionRateLimit', 'pushRetries'];
         foreach ($integerOptions as $option) {
             if (isset($config[$option]) && (!is_int($config[$option]) || $config[$option] < 0)) {
                 throw new \InvalidArgumentException("{$option} must be a non-negative integer");
             }
         }
 
+        if (isset($config['maxFileContentSize']) && $config['maxFileContentSize'] > self::MAX_FILE_CONTENT_SIZE) {
+            throw new \InvalidArgumentException('maxFileContentSize must be at most ' . self::MAX_FILE_CONTENT_SIZE . ' bytes');
+        }
+
+        if (isset($config['networkIgnore']) &&
+            (!is_array($config['networkIgnore']) || array_filter($config['networkIgnore'], fn($pattern) => !is_string($pattern)))) {
+            throw new \InvalidArgumentException('networkIgnore must be an array of strings');
+        }
+
+        if (isset($config['loadingSelectors']) &&
+            (!is_array($config['loadingSelectors']) || array_filter($config['loadingSelectors'], fn($selector) => !is_string($selector)))) {
+            throw new \InvalidArgumentException('loadingSelectors must be an array of strings');
+        }
+
         // Validate string options
         if (isset($config['backupDirectory']) && !is_string($config['backupDirectory'])) {
             throw new \InvalidArgumentException('backupDirectory must be a string');
         }
 
+        if (isset($config['assertionHotkey']) && !is_string($config['assertionHotkey'])) {
+            throw new \InvalidArgumentException('assertionHotkey must be a string');
+        }
+
+        if (isset($config['fixtureDirectory']) && !is_string($config['fixtureDirectory'])) {
+            throw new \InvalidArgumentException('fixtureDirectory must be a string');
+        }
+
         // Validate enum options
         if (isset($config['deviceEmulation']) && 
             !in_array($config['deviceEmulation'], [null, 'mobile', 'desktop'])) {
@@ -424,5 +699,33 @@ final class RecordingConfig
             !in_array($config['colorScheme'], [null, 'dark', 'light'])) {
             throw new \InvalidArgumentException('colorScheme must be null, "dark", or "light"');
         }
+
+        if (isset($config['logLevel']) &&
+            !in_array($config['logLevel'], ['silent', 'error', 'warn', 'info', 'debug'], true)) {
+            throw new \InvalidArgumentException('logLevel must be "silent", "error", "warn", "info" or "debug"');
+        }
+
+        if (isset($config['redactedValues']) && 
+            !in_array($config['redactedValues'], ['env', 'placeholder'], true)) {
+            throw new \InvalidArgumentException('redactedValues must be "env" or "placeholder"');
+        }
+
+        // Validate redaction options
+        if (isset($config['redaction'])) {
+            if (!is_array($config['redaction'])) {
+                throw new \InvalidArgumentException('redaction must be an array');
+            }
+
+            foreach (['patterns', 'autocomplete', 'allow', 'deny'] as $option) {
+                if (isset($config['redaction'][$option]) &&
+                    (!is_array($config['redaction'][$option]) || array_filter($config['redaction'][$option], fn($value) => !is_string($value)))) {
+                    throw new \InvalidArgumentException("redaction.{$option} must be an array of strings");
+                }
+            }
+
+            if (isset($config['redaction']['maskAttribute']) && !is_string($config['redaction']['maskAttribute'])) {
+                throw new \InvalidArgumentException('redaction.maskAttribute must be a string');
+            }
+        }
     }
 }
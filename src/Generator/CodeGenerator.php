@@ -13,6 +13,7 @@ use PhpParser\Node\Expr;
 use PhpParser\Node\Expr\MethodCall;
 use PhpParser\Node\Expr\Variable;
 use PhpParser\Node\Expr\Assign;
+use PhpParser\Node\Expr\BinaryOp\Concat;
 use PhpParser\Node\Expr\Closure;
 use PhpParser\Node\Expr\FuncCall;
 use PhpParser\Node\Name;
@@ -38,6 +39,8 @@ final class CodeGenerator
         // Navigation actions
         'session:start' => null, // Special handling - creates visit() call
         'navigation' => 'visit',
+        'popup:opened' => 'visit', // Into its own page variable - see generatePopupCall()
+        'dialog' => 'script', // Before the step that opened it - see generateDialogCall()
         'beforeunload' => null, // No direct Pest equivalent
         
         // Interaction actions
@@ -46,18 +49,39 @@ final class CodeGenerator
         'rightclick' => 'rightClick',
         'input' => 'fill',
         'change' => 'select', // Context-dependent
+        'edit' => 'type', // Context-dependent - see generateEditCall()
+        
+        // Intent-level actions from the browser's normalization stage
+        'fill' => 'fill', // Or type() - see generateInputCall()
+        'check' => 'check', // Or uncheck()
+        'select' => 'select',
+        'press' => 'press', // Or click() for buttons without text
         'focus' => null, // Usually implicit in Pest
         'blur' => null, // Usually implicit in Pest
         'submit' => 'press',
         'keydown' => 'keys',
+        'attach' => 'attach',
+        'drag' => 'drag',
+        'network' => 'waitForEvent', // Only with generateWaits - see generateNetworkWait()
+        'wait' => null, // Context-dependent - see generateWaitCall()
         
         // Scroll and hover actions
         'scroll' => 'scrollTo',
         'hover' => 'hover',
         
+        // Assertions picked while recording
+        'assert' => null, // Context-dependent - see generateAssertCall()
+        
         // Session management
         'session:end' => null, // No direct equivalent
         'session:heartbeat' => null, // Internal only
+        'session:pause' => null, // Internal only
+        'session:resume' => null, // Internal only
+        'session:restore' => null, // Internal only
+        'action:removed' => null, // Internal only
+        'selector:updated' => null, // Internal only
+        'attach:content' => null, // Internal only
+        'command:ack' => null, // Internal only
         
         // DOM changes (for assertions)
         'dom:added' => null, // Can generate assertions
@@ -74,6 +98,11 @@ final class CodeGenerator
         'search', 'url', 'tel', 'email' // Types that benefit from typing simulation
     ];
 
+    /**
+     * Placeholder the browser records in place of a sensitive field's value, e.g. {{password}}
+     */
+    private const REDACTED_VALUE_PATTERN = '/^\{\{([a-z0-9_]+)\}\}$/';
+
     /**
      * @var BuilderFactory AST builder factory
      */
@@ -94,6 +123,11 @@ final class CodeGenerator
      */
     private SelectorStrategy $selectorStrategy;
 
+    /**
+     * @var int|null Browser id of the action the last generated network wait follows
+     */
+    private ?int $waitedForTrigger = null;
+
     public function __construct(
         array $config = [],
         ?SelectorStrategy $selectorStrategy = null
@@ -111,6 +145,8 @@ final class CodeGenerator
             'generateWaits' => false,
             'deviceEmulation' => null, // 'mobile', 'desktop', null
             'colorScheme' => null, // 'dark', 'light', null
+            'fixtureDirectory' => 'tests/Fixtures',
+            'redactedValues' => 'env', // 'env', 'placeholder'
         ], $config);
     }
 
@@ -157,15 +193,42 @@ final class CodeGenerator
      */
     public function convertActionsToPestCalls(array $actions): array
     {
+        $actions = $this->withFollowUpUpdates($this->withoutRemovedActions($actions));
         $statements = [];
         $pageVariable = new Variable('page');
+        $popupVariables = [];
+        $lastStepIndex = null;
         $currentUrl = null;
+        $this->waitedForTrigger = null;
 
         foreach ($actions as $action) {
-            $statement = $this->convertSingleAction($action, $pageVariable, $currentUrl);
+            // Actions recorded in a popup carry its id as pageId
+            $popupId = $action->data['pageId'] ?? null;
+
+            if ($action->type === 'popup:opened' || ($action->type === 'session:start' && $popupId !== null)) {
+                $statement = $this->generatePopupCall($action, $popupVariables);
+            } else {
+                $actionPage = is_string($popupId) && isset($popupVariables[$popupId]) ? $popupVariables[$popupId] : $pageVariable;
+                $statement = $this->convertSingleAction($action, $actionPage, $currentUrl);
+            }
+            
+            if ($statement !== null && isset($action->data['selectorWarning'])) {
+                $statement = $this->withSelectorWarning($statement, $action);
+            }
             
             if ($statement !== null) {
-                $statements[] = $statement;
+                // The browser records a dialog right after the step that opened it,
+                // but its handler has to be in place before that step runs
+                if ($action->type === 'dialog' && $lastStepIndex !== null && isset($action->data['triggeredBy'])) {
+                    array_splice($statements, $lastStepIndex, 0, [$statement]);
+                    $lastStepIndex++;
+                } else {
+                    $statements[] = $statement;
+                }
+                
+                if ($statement->type === 'interaction' && !in_array($action->type, ['network', 'dialog'], true)) {
+                    $lastStepIndex = count($statements) - 1;
+                }
                 
                 // Track URL changes for context
                 if ($action->type === 'session:start' || $action->type === 'navigation') {
@@ -182,6 +245,215 @@ final class CodeGenerator
         return $statements;
     }
 
+    /**
+     * Drop the actions the browser retracted after sending them
+     *
+     * The recorder retracts an action with action:removed, e.g. when it is
+     * deleted from the toolbar or folded into a later one, naming it by the id
+     * the session keeps as the actionId in each action's metadata.
+     *
+     * @param array<ActionData> $actions
+     * @return array<ActionData>
+     */
+    private function withoutRemovedActions(array $actions): array
+    {
+        $removed = [];
+        foreach ($actions as $action) {
+            if ($action->type === 'action:removed' && is_int($action->data['actionId'] ?? null)) {
+                $removed[$this->referencedActionKey($action)] = true;
+            }
+        }
+
+        if ($removed === []) {
+            return $actions;
+        }
+
+        return array_values(array_filter(
+            $actions,
+            function (ActionData $action) use ($removed): bool {
+                $key = $this->recordedActionKey($action);
+
+                return $key === null || !isset($removed[$key]);
+            }
+        ));
+    }
+
+    /**
+     * Apply the updates that follow polled actions to the actions they name
+     *
+     * The recorder flags a selector that drifted after PHP polled its action
+     * with a selector:updated action, and sends the contents of attached files
+     * it read afterwards with an attach:content action, as on actions it
+     * updated before they were polled. Only a drift's warning
+     * and suggestion are taken over: the recorded selector matched when its
+     * action ran, so it stays.
+     *
+     * @param array<ActionData> $actions
+     * @return array<ActionData>
+     */
+    private function withFollowUpUpdates(array $actions): array
+    {
+        $updates = [];
+        foreach ($actions as $action) {
+            if (!is_int($action->data['actionId'] ?? null)) {
+                continue;
+            }
+
+            if ($action->type === 'selector:updated') {
+                $updates[$this->referencedActionKey($action)] = array_intersect_key(
+                    $action->data,
+                    ['selectorWarning' => true, 'suggestedSelector' => true]
+                );
+            } elseif ($action->type === 'attach:content' && is_array($action->data['files'] ?? null)) {
+                $updates[$this->referencedActionKey($action)] = ['fileContents' => $action->data['files']];
+            }
+        }
+
+        if ($updates === []) {
+            return $actions;
+        }
+
+        return array_map(
+            function (ActionData $action) use ($updates): ActionData {
+                $key = $this->recordedActionKey($action);
+
+                if ($key === null || !isset($updates[$key])) {
+                    return $action;
+                }
+
+                return new ActionData(
+                    type: $action->type,
+                    data: $this->applyUpdate($action->data, $updates[$key]),
+                    timestamp: $action->timestamp,
+                    url: $action->url,
+                    sessionId: $action->sessionId,
+                    sequence: $action->sequence,
+                    viewport: $action->viewport,
+                    metadata: $action->metadata
+                );
+            },
+            $actions
+        );
+    }
+
+    /**
+     * Merge a follow-up update into an action's data, putting file contents on the files they belong to
+     *
+     * @param array<string, mixed> $data
+     * @param array<string, mixed> $update
+     * @return array<string, mixed>
+     */
+    private function applyUpdate(array $data, array $update): array
+    {
+        if (!isset($update['fileContents'])) {
+            return [...$data, ...$update];
+        }
+
+        $contents = [];
+        foreach ($update['fileContents'] as $file) {
+            if (is_array($file) && isset($file['name'], $file['content'])) {
+                $contents[$file['name']] = $file['content'];
+            }
+        }
+
+        $data['files'] = array_map(
+            fn ($file) => is_array($file) && isset($file['name'], $contents[$file['name']])
+                ? [...$file, 'content' => $contents[$file['name']]]
+                : $file,
+            is_array($data['files'] ?? null) ? $data['files'] : []
+        );
+
+        return $data;
+    }
+
+    /**
+     * Key a recorded action by its page and the id its page's recorder gave it
+     *
+     * Every page, popups included, numbers its actions from 1, so the id is
+     * only unique together with the page.
+     */
+    private function recordedActionKey(ActionData $action): ?string
+    {
+        $id = $action->metadata['actionId'] ?? null;
+
+        return is_int($id) ? $this->actionKey($action, $id) : null;
+    }
+
+    /**
+     * Key the action a follow-up such as action:removed names, which its own page recorded
+     */
+    private function referencedActionKey(ActionData $followUp): string
+    {
+        return $this->actionKey($followUp, (int)$followUp->data['actionId']);
+    }
+
+    /**
+     * Key an action id by the page of the action carrying it, "main" unless a popup recorded it
+     */
+    private function actionKey(ActionData $action, int $id): string
+    {
+        $pageId = $action->data['pageId'] ?? null;
+
+        return (is_string($pageId) ? $pageId : 'main') . ':' . $id;
+    }
+
+    /**
+     * Open a popup in a page variable of its own, e.g. $popup = visit(...)
+     *
+     * The popup is visited when it opens with a real URL, or else when its
+     * own recorder starts on the page it loaded, such as after about:blank.
+     *
+     * @param array<string, Variable> $popupVariables Page variables by popup id, added to
+     */
+    private function generatePopupCall(ActionData $action, array &$popupVariables): ?CodeStatement
+    {
+        if ($action->type === 'session:start') {
+            $popupId = $action->data['pageId'];
+            $url = $action->url;
+        } else {
+            $popupId = $action->data['popupId'] ?? null;
+            $url = $action->data['url'] ?? '';
+        }
+
+        if (!is_string($popupId) || isset($popupVariables[$popupId]) || !preg_match('#^https?://#', $url)) {
+            return null;
+        }
+
+        $count = count($popupVariables) + 1;
+        $popupVariables[$popupId] = new Variable($count === 1 ? 'popup' : "popup{$count}");
+
+        $trigger = isset($action->data['trigger']) ? " opened by {$action->data['trigger']}" : '';
+        $comment = $this->config['includeComments']
+            ? "Continue in the popup{$trigger} at {$url}"
+            : null;
+
+        return new CodeStatement(
+            expression: new Assign($popupVariables[$popupId], $this->factory->funcCall('visit', [new String_($url)])),
+            comment: $comment,
+            type: 'navigation'
+        );
+    }
+
+    /**
+     * Note in a statement's comment that its selector drifted while recording
+     */
+    private function withSelectorWarning(CodeStatement $statement, ActionData $action): CodeStatement
+    {
+        if ($statement->comment === null) {
+            return $statement;
+        }
+
+        $suggested = $action->data['suggestedSelector'] ?? null;
+        $warning = "selector was {$action->data['selectorWarning']} while recording"
+            . (is_string($suggested) ? ", consider {$suggested}" : '');
+
+        return new CodeStatement(
+            expression: $statement->expression,
+            comment: "{$statement->comment} ({$warning})",
+            type: $statement->type
+        );
+    }
+
     /**
      * Convert a single action to a Pest method call
      */
@@ -197,24 +469,56 @@ final class CodeGenerator
             case 'click':
                 return $this->generateClickCall($action, $pageVar);
                 
+            case 'dblclick':
+                return $this->generateDoubleClickCall($action, $pageVar);
+                
             case 'input':
+            case 'fill':
                 return $this->generateInputCall($action, $pageVar);
                 
             case 'change':
+            case 'select':
                 return $this->generateChangeCall($action, $pageVar);
                 
+            case 'check':
+                return $this->generateCheckCall($action, $pageVar);
+                
+            case 'press':
+                return $this->generatePressCall($action, $pageVar);
+                
+            case 'edit':
+                return $this->generateEditCall($action, $pageVar);
+                
             case 'submit':
                 return $this->generateSubmitCall($action, $pageVar);
                 
             case 'keydown':
                 return $this->generateKeyCall($action, $pageVar);
                 
+            case 'attach':
+                return $this->generateAttachCall($action, $pageVar);
+                
+            case 'drag':
+                return $this->generateDragCall($action, $pageVar);
+                
+            case 'network':
+                return $this->generateNetworkWait($action, $pageVar);
+                
+            case 'wait':
+                return $this->generateWaitCall($action, $pageVar);
+                
             case 'scroll':
                 return $this->generateScrollCall($action, $pageVar);
                 
             case 'hover':
                 return $this->generateHoverCall($action, $pageVar);
                 
+            case 'dialog':
+                return $this->generateDialogCall($action, $pageVar);
+                
+            case 'assert':
+                return $this->generateAssertCall($action, $pageVar);
+                
             case 'navigation':
                 if ($action->data['type'] === 'popstate' || 
                     $action->data['type'] === 'pushstate' || 
@@ -298,6 +602,75 @@ final class CodeGenerator
         );
     }
 
+    /**
+     * Generate doubleClick() call
+     */
+    private function generateDoubleClickCall(ActionData $action, Variable $pageVar): CodeStatement
+    {
+        $selector = $this->extractSelector($action);
+        $args = [new String_($selector)];
+
+        $methodCall = $this->factory->methodCall($pageVar, 'doubleClick', $args);
+
+        $comment = $this->config['includeComments']
+            ? "Double-click on {$selector}"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate check() or uncheck() call for checkboxes and radios
+     */
+    private function generateCheckCall(ActionData $action, Variable $pageVar): CodeStatement
+    {
+        $selector = $this->extractSelector($action);
+        $checked = (bool)($action->data['checked'] ?? true);
+        $method = $checked ? 'check' : 'uncheck';
+        $args = [new String_($selector)];
+
+        $methodCall = $this->factory->methodCall($pageVar, $method, $args);
+
+        $comment = $this->config['includeComments']
+            ? ucfirst($method) . " {$selector}"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate press() call for a button that submitted a form
+     */
+    private function generatePressCall(ActionData $action, Variable $pageVar): CodeStatement
+    {
+        $text = trim((string)($action->data['text'] ?? ''));
+
+        // Buttons without text, such as icon buttons, are clicked by selector
+        if ($text === '') {
+            return $this->generateClickCall($action, $pageVar);
+        }
+
+        $methodCall = $this->factory->methodCall($pageVar, 'press', [new String_($text)]);
+
+        $comment = $this->config['includeComments']
+            ? "Press '{$text}'"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
     /**
      * Generate fill() or type() call for inputs
      */
@@ -312,7 +685,7 @@ final class CodeGenerator
                    in_array($inputType, self::TYPE_INSTEAD_OF_FILL);
         
         $method = $useType ? 'type' : 'fill';
-        $args = [new String_($selector), new String_($value)];
+        $args = [new String_($selector), $this->valueArg($value)];
 
         $methodCall = $this->factory->methodCall($pageVar, $method, $args);
         
@@ -332,6 +705,10 @@ final class CodeGenerator
      */
     private function generateChangeCall(ActionData $action, Variable $pageVar): ?CodeStatement
     {
+        if (isset($action->data['widget'])) {
+            return $this->generateWidgetSelectCall($action, $pageVar);
+        }
+
         // Only handle select elements
         if (($action->data['tagName'] ?? '') !== 'select') {
             return null;
@@ -340,8 +717,15 @@ final class CodeGenerator
         $selector = $this->extractSelector($action);
         $value = (string)($action->data['value'] ?? '');
         
-        $args = [new String_($selector), new String_($value)];
-        $methodCall = $this->factory->methodCall($pageVar, 'select', $args);
+        if (!empty($action->data['multiple']) && is_array($action->data['values'] ?? null)) {
+            $values = array_map('strval', $action->data['values']);
+            $option = $this->factory->val(array_map(fn (string $value) => $this->valueArg($value), $values));
+            $value = implode("', '", $values);
+        } else {
+            $option = $this->valueArg($value);
+        }
+        
+        $methodCall = $this->factory->methodCall($pageVar, 'select', [new String_($selector), $option]);
         
         $comment = $this->config['includeComments'] 
             ? "Select '{$value}' in {$selector}" 
@@ -354,6 +738,95 @@ final class CodeGenerator
         );
     }
 
+    /**
+     * Generate the clicks picking options in a custom listbox, combobox or datepicker
+     *
+     * Playwright's select() only works on native selects, so the widget is
+     * opened by clicking its root, the recorded search is typed into its
+     * field and each picked option is clicked in turn.
+     */
+    private function generateWidgetSelectCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $picked = array_values(array_filter(
+            is_array($action->data['picked'] ?? null) ? $action->data['picked'] : [],
+            fn ($option) => is_array($option) && !empty($option['selector'])
+        ));
+
+        if (empty($picked)) {
+            return null;
+        }
+
+        $selector = $this->extractSelector($action);
+        $expression = $pageVar;
+
+        // A listbox shown on its own needs no opening
+        if (($action->data['widget'] ?? '') !== 'listbox') {
+            $expression = $this->factory->methodCall($expression, 'click', [new String_($selector)]);
+        }
+
+        $search = $action->data['search'] ?? null;
+        if (is_array($search) && isset($search['selector'], $search['value'])) {
+            $expression = $this->factory->methodCall($expression, 'type', [
+                new String_((string)$search['selector']),
+                $this->valueArg((string)$search['value']),
+            ]);
+        }
+
+        foreach ($picked as $option) {
+            $expression = $this->factory->methodCall($expression, 'click', [new String_((string)$option['selector'])]);
+        }
+
+        $labels = implode("', '", array_map(fn (array $option) => (string)($option['label'] ?? ''), $picked));
+        $comment = $this->config['includeComments']
+            ? "Pick '{$labels}' in {$selector}"
+            : null;
+
+        return new CodeStatement(
+            expression: $expression,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate type() or fill() call for contenteditable and rich-text editors
+     *
+     * Text added after the editor's previous content is typed, so the editor
+     * sees real keystrokes; any other change, or an edit whose previous content
+     * is unknown, replaces the content with fill().
+     */
+    private function generateEditCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $selector = $this->extractSelector($action);
+        $text = (string)($action->data['text'] ?? '');
+        $previousText = $action->data['previousText'] ?? null;
+
+        if ($text === $previousText) {
+            return null;
+        }
+
+        if (is_string($previousText) && str_starts_with($text, $previousText)) {
+            $method = 'type';
+            $value = substr($text, strlen($previousText));
+        } else {
+            $method = 'fill';
+            $value = $text;
+        }
+
+        $args = [new String_($selector), $this->valueArg($value)];
+        $methodCall = $this->factory->methodCall($pageVar, $method, $args);
+
+        $comment = $this->config['includeComments']
+            ? "{$method} '{$value}' in editor {$selector}"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
     /**
      * Generate press() call for form submission
      */
@@ -376,7 +849,7 @@ final class CodeGenerator
     }
 
     /**
-     * Generate keys() call for keyboard shortcuts
+     * Generate keys() call for keyboard shortcuts and navigation keys
      */
     private function generateKeyCall(ActionData $action, Variable $pageVar): ?CodeStatement
     {
@@ -398,10 +871,82 @@ final class CodeGenerator
         $keyString = implode('+', $keyCombo);
         $args = [new String_($keyString)];
 
+        // Keys are sent to the element they were pressed on, when known
+        $selector = isset($action->data['selector']) ? $this->extractSelector($action) : null;
+        if ($selector !== null) {
+            array_unshift($args, new String_($selector));
+        }
+
         $methodCall = $this->factory->methodCall($pageVar, 'keys', $args);
         
         $comment = $this->config['includeComments'] 
-            ? "Press {$keyString}" 
+            ? "Press {$keyString}" . ($selector !== null ? " in {$selector}" : '')
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate attach() call for file uploads, pointing at test fixtures
+     */
+    private function generateAttachCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $files = is_array($action->data['files'] ?? null) ? $action->data['files'] : [];
+
+        $paths = [];
+        foreach ($files as $file) {
+            if (!is_array($file) || empty($file['name'])) {
+                continue;
+            }
+
+            $paths[] = (string)($file['fixture']
+                ?? rtrim((string)$this->config['fixtureDirectory'], '/') . '/' . $file['name']);
+        }
+
+        if (empty($paths)) {
+            return null;
+        }
+
+        $selector = $this->extractSelector($action);
+        $args = [
+            new String_($selector),
+            count($paths) === 1 ? new String_($paths[0]) : $this->factory->val($paths),
+        ];
+
+        $methodCall = $this->factory->methodCall($pageVar, 'attach', $args);
+
+        $comment = $this->config['includeComments']
+            ? 'Attach ' . implode(', ', $paths) . " to {$selector}"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate drag() call for drag and drop
+     */
+    private function generateDragCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $target = (string)($action->data['target'] ?? '');
+        if ($target === '') {
+            return null;
+        }
+
+        $selector = $this->extractSelector($action);
+        $args = [new String_($selector), new String_($target)];
+
+        $methodCall = $this->factory->methodCall($pageVar, 'drag', $args);
+
+        $comment = $this->config['includeComments']
+            ? "Drag {$selector} onto {$target}"
             : null;
 
         return new CodeStatement(
@@ -441,18 +986,116 @@ final class CodeGenerator
         );
     }
 
+    /**
+     * Generate waitForEvent('networkidle') after an action that sent requests
+     *
+     * Only requests the browser linked to a user action are waited for, and
+     * only once per action, however many requests it sent.
+     */
+    private function generateNetworkWait(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $trigger = $action->data['triggeredBy'] ?? null;
+
+        if (!$this->config['generateWaits'] || !is_int($trigger) || $trigger === $this->waitedForTrigger) {
+            return null;
+        }
+
+        $this->waitedForTrigger = $trigger;
+
+        $methodCall = $this->factory->methodCall($pageVar, 'waitForEvent', [new String_('networkidle')]);
+
+        $method = (string)($action->data['method'] ?? 'GET');
+        $pattern = (string)($action->data['urlPattern'] ?? $action->data['url'] ?? '');
+        $status = (int)($action->data['status'] ?? 0);
+        $comment = $this->config['includeComments']
+            ? "Wait for {$method} {$pattern} ({$status})"
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate the waits inferred from DOM changes after an action
+     *
+     * Each hint becomes an assertion that holds once the page has settled,
+     * chained in the order the browser recorded them: loading indicators
+     * gone first, then removed, appeared and changed elements.
+     */
+    private function generateWaitCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $hints = is_array($action->data['waits'] ?? null) ? $action->data['waits'] : [];
+        if (!$this->config['generateWaits'] || empty($hints)) {
+            return null;
+        }
+
+        $expression = $pageVar;
+        $descriptions = [];
+        foreach ($hints as $hint) {
+            $selector = (string)($hint['selector'] ?? '');
+            $text = isset($hint['text']) ? (string)$hint['text'] : null;
+            if ($selector === '') {
+                continue;
+            }
+
+            switch ($hint['kind'] ?? '') {
+                case 'loading-gone':
+                case 'removed':
+                    $expression = $this->factory->methodCall($expression, 'assertMissing', [new String_($selector)]);
+                    $descriptions[] = "{$selector} is gone";
+                    break;
+                case 'appeared':
+                case 'text':
+                    $expression = $text !== null
+                        ? $this->factory->methodCall($expression, 'assertSeeIn', [new String_($selector), new String_($text)])
+                        : $this->factory->methodCall($expression, 'assertVisible', [new String_($selector)]);
+                    $descriptions[] = $text !== null ? "'{$text}' is in {$selector}" : "{$selector} is visible";
+                    break;
+            }
+        }
+
+        if (empty($descriptions)) {
+            return null;
+        }
+
+        return new CodeStatement(
+            expression: $expression,
+            comment: $this->config['includeComments'] ? 'Wait until ' . implode(', ', $descriptions) : null,
+            type: 'assertion'
+        );
+    }
+
     /**
      * Generate hover() call
+     *
+     * A recorded leave moves the pointer to the page body, undoing the
+     * effect of the hover before it.
      */
     private function generateHoverCall(ActionData $action, Variable $pageVar): CodeStatement
     {
         $selector = $this->extractSelector($action);
+
+        if (($action->data['action'] ?? 'enter') === 'leave') {
+            $methodCall = $this->factory->methodCall($pageVar, 'hover', [new String_('body')]);
+            $comment = $this->config['includeComments'] ? "Move the pointer off {$selector}" : null;
+
+            return new CodeStatement(
+                expression: $methodCall,
+                comment: $comment,
+                type: 'interaction'
+            );
+        }
+
         $args = [new String_($selector)];
 
         $methodCall = $this->factory->methodCall($pageVar, 'hover', $args);
         
+        $reveals = isset($action->data['reveals']) ? " to reveal {$action->data['reveals']}" : '';
         $comment = $this->config['includeComments'] 
-            ? "Hover over {$selector}" 
+            ? "Hover over {$selector}{$reveals}" 
             : null;
 
         return new CodeStatement(
@@ -462,6 +1105,133 @@ final class CodeGenerator
         );
     }
 
+    /**
+     * Generate the handler answering a native dialog the way it was answered
+     *
+     * Playwright dismisses dialogs nobody handles, so alert, confirm and
+     * prompt are replaced with functions returning the recorded answer. The
+     * page's beforeunload listeners are kept from running when leaving was
+     * accepted; staying needs no handler.
+     */
+    private function generateDialogCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $kind = (string)($action->data['kind'] ?? '');
+        $accepted = ($action->data['response'] ?? '') === 'accepted';
+        $message = (string)($action->data['message'] ?? '');
+
+        $script = match ($kind) {
+            'alert' => 'window.alert = () => {}',
+            'confirm' => 'window.confirm = () => ' . ($accepted ? 'true' : 'false'),
+            'prompt' => 'window.prompt = () => ' . ($accepted
+                ? json_encode((string)($action->data['value'] ?? ''), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)
+                : 'null'),
+            'beforeunload' => $accepted ? "window.addEventListener('beforeunload', event => event.stopImmediatePropagation(), true)" : null,
+            default => null,
+        };
+
+        if ($script === null) {
+            return null;
+        }
+
+        $scriptArg = new String_($script);
+
+        // A redacted answer is read at run time like a redacted field value
+        $value = (string)($action->data['value'] ?? '');
+        $redacted = $this->config['redactedValues'] === 'env' && preg_match(self::REDACTED_VALUE_PATTERN, $value) === 1;
+        if ($kind === 'prompt' && $accepted && $redacted) {
+            $scriptArg = new Concat(
+                new String_('window.prompt = () => '),
+                $this->factory->funcCall('json_encode', [$this->valueArg($value)])
+            );
+        }
+
+        $methodCall = $this->factory->methodCall($pageVar, 'script', [$scriptArg]);
+
+        $answer = $kind === 'alert' ? 'Close' : ($accepted ? 'Accept' : 'Dismiss');
+        $comment = $this->config['includeComments']
+            ? "{$answer} the {$kind} dialog" . ($message !== '' ? ": {$message}" : '')
+            : null;
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $comment,
+            type: 'interaction'
+        );
+    }
+
+    /**
+     * Generate an assertion picked while recording
+     */
+    private function generateAssertCall(ActionData $action, Variable $pageVar): ?CodeStatement
+    {
+        $kind = (string)($action->data['kind'] ?? '');
+        $expected = $action->data['expected'] ?? null;
+
+        // Count and URL assertions do not target the picked element itself
+        $selector = in_array($kind, ['count', 'url'], true)
+            ? (string)($action->data['selector'] ?? '')
+            : $this->extractSelector($action);
+
+        switch ($kind) {
+            case 'text':
+                $method = 'assertSeeIn';
+                $args = [$selector, (string)$expected];
+                $description = "Assert '{$expected}' is seen in {$selector}";
+                break;
+            case 'visible':
+                $method = 'assertVisible';
+                $args = [$selector];
+                $description = "Assert {$selector} is visible";
+                break;
+            case 'hidden':
+                $method = 'assertMissing';
+                $args = [$selector];
+                $description = "Assert {$selector} is hidden";
+                break;
+            case 'value':
+                $method = 'assertValue';
+                $args = [$selector, $this->valueArg((string)$expected)];
+                $description = "Assert {$selector} has value '{$expected}'";
+                break;
+            case 'checked':
+                $method = $expected ? 'assertChecked' : 'assertNotChecked';
+                $args = [$selector];
+                $description = $expected ? "Assert {$selector} is checked" : "Assert {$selector} is not checked";
+                break;
+            case 'attribute':
+                $attribute = (string)($action->data['attribute'] ?? '');
+                $method = 'assertAttribute';
+                $args = [$selector, $attribute, (string)$expected];
+                $description = "Assert {$selector} has {$attribute}='{$expected}'";
+                break;
+            case 'count':
+                $method = 'assertCount';
+                $args = [$selector, (int)$expected];
+                $description = "Assert {$expected} elements match {$selector}";
+                break;
+            case 'url':
+                // The browser records the path; sessions recorded before that carry the full URL
+                $method = preg_match('#^https?://#', (string)$expected) ? 'assertUrlIs' : 'assertPathIs';
+                $args = [(string)$expected];
+                $description = $method === 'assertPathIs' ? "Assert path is {$expected}" : "Assert URL is {$expected}";
+                break;
+            default:
+                return null;
+        }
+
+        $methodCall = $this->factory->methodCall(
+            $pageVar,
+            $method,
+            array_map(fn($arg) => $this->factory->val($arg), $args)
+        );
+
+        return new CodeStatement(
+            expression: $methodCall,
+            comment: $this->config['includeComments'] ? $description : null,
+            type: 'assertion'
+        );
+    }
+
     /**
      * Generate visit() call for navigation
      */
@@ -483,11 +1253,33 @@ final class CodeGenerator
         );
     }
 
+    /**
+     * Build the argument for a recorded field value
+     *
+     * Redacted values arrive as placeholders such as {{password}}; by default
+     * they are read from an environment variable like PEST_PASSWORD so real
+     * credentials stay out of the generated test.
+     */
+    private function valueArg(string $value): Expr
+    {
+        if ($this->config['redactedValues'] === 'env' && preg_match(self::REDACTED_VALUE_PATTERN, $value, $matches)) {
+            return $this->factory->funcCall('getenv', [new String_('PEST_' . strtoupper($matches[1]))]);
+        }
+
+        return new String_($value);
+    }
+
     /**
      * Extract selector from action data
      */
     private function extractSelector(ActionData $action): string
     {
+        // Prefer the best-ranked unique candidate recorded by the browser
+        $candidate = $this->selectBestCandidate($action->data['selectors'] ?? []);
+        if ($candidate !== null) {
+            return $candidate;
+        }
+
         // If action already has a selector, use it
         if (isset($action->data['selector']) && !empty($action->data['selector'])) {
             return (string)$action->data['selector'];
@@ -508,6 +1300,31 @@ final class CodeGenerator
         }
     }
 
+    /**
+     * Pick the highest-scoring unique selector from ranked browser candidates
+     * 
+     * @param mixed $candidates Candidate list with selector, score and unique keys
+     */
+    private function selectBestCandidate(mixed $candidates): ?string
+    {
+        if (!is_array($candidates)) {
+            return null;
+        }
+
+        $best = null;
+        foreach ($candidates as $candidate) {
+            if (!is_array($candidate) || empty($candidate['selector']) || !($candidate['unique'] ?? false)) {
+                continue;
+            }
+
+            if ($best === null || (float)($candidate['score'] ?? 0) > (float)($best['score'] ?? 0)) {
+                $best = $candidate;
+            }
+        }
+
+        return $best !== null ? (string)$best['selector'] : null;
+    }
+
     /**
      * Generate automatic assertions based on recorded actions
      * 
@@ -519,10 +1336,10 @@ final class CodeGenerator
         $assertions = [];
         $pageVar = new Variable('page');
 
-        // Look for final URL to assert
+        // Look for final URL to assert, leaving out actions recorded in popups
         $finalUrl = null;
         foreach (array_reverse($actions) as $action) {
-            if (!empty($action->url) && $action->type !== 'session:start') {
+            if (!empty($action->url) && $action->type !== 'session:start' && !isset($action->data['pageId'])) {
                 $finalUrl = $action->url;
                 break;
             }
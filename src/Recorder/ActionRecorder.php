@@ -30,16 +30,35 @@ final class ActionRecorder
         'rightclick' => ['selector'],
         'input' => ['selector', 'value', 'inputType'],
         'change' => ['selector', 'value'],
+        'edit' => ['selector', 'text'],
+        'fill' => ['selector', 'value'],
+        'check' => ['selector', 'checked'],
+        'select' => ['selector', 'value'],
+        'press' => ['selector'],
         'focus' => ['selector'],
         'blur' => ['selector'],
         'submit' => ['selector', 'data'],
         'keydown' => ['key', 'modifiers'],
         'scroll' => ['scrollX', 'scrollY'],
         'hover' => ['selector', 'action'],
+        'attach' => ['selector', 'files'],
+        'drag' => ['selector', 'target'],
+        'network' => ['method', 'url', 'status'],
+        'wait' => ['triggeredBy', 'waits'],
+        'assert' => ['kind', 'expected'],
         'navigation' => ['type', 'url'],
+        'popup:opened' => ['popupId', 'url'],
+        'dialog' => ['kind', 'response'],
         'session:start' => ['sessionId', 'viewport', 'userAgent'],
         'session:end' => ['sessionId', 'totalActions'],
         'session:heartbeat' => [],
+        'session:pause' => ['sessionId'],
+        'session:resume' => ['sessionId'],
+        'session:restore' => ['sessionId', 'url'],
+        'action:removed' => ['actionId'],
+        'selector:updated' => ['actionId', 'selector'],
+        'attach:content' => ['actionId', 'files'],
+        'command:ack' => ['command', 'success'],
         'dom:added' => ['target', 'elements'],
         'visibility' => ['selector', 'visible'],
         'beforeunload' => ['url'],
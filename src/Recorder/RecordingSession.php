@@ -7,6 +7,7 @@ namespace PestPluginBrowserRecording\Recorder;
 use PestPluginBrowserRecording\Config\RecordingConfig;
 use PestPluginBrowserRecording\Communication\BrowserCommunicator;
 use PestPluginBrowserRecording\Recorder\ActionRecorder;
+use PestPluginBrowserRecording\Exceptions\SessionException;
 
 /**
  * Manages the lifecycle of a browser recording session
@@ -17,6 +18,17 @@ use PestPluginBrowserRecording\Recorder\ActionRecorder;
  */
 final class RecordingSession
 {
+    /**
+     * sessionStorage key the browser recorder persists its session under across page loads
+     */
+    private const BROWSER_STATE_KEY = '__pestRecorderState';
+
+    /**
+     * Most polls made to collect what the recorders still hold when the session stops,
+     * enough for the default maxActionsPerSession at 50 actions per poll
+     */
+    private const MAX_STOP_POLLS = 200;
+
     /**
      * @var array<int, array<string, mixed>> Recorded actions from the browser
      */
@@ -42,6 +54,27 @@ final class RecordingSession
      */
     private ActionRecorder $actionRecorder;
 
+    /**
+     * Acknowledgements of commands sent to the browser, keyed by command id
+     *
+     * @var array<string, array<string, mixed>>
+     */
+    private array $commandAcknowledgements = [];
+
+    /**
+     * Popups the browser reported opening that have no page attached yet, keyed by popup id
+     *
+     * @var array<string, array<string, mixed>>
+     */
+    private array $pendingPopups = [];
+
+    /**
+     * Pages attached for popups, keyed by the popup id their actions are tagged with
+     *
+     * @var array<string, \Pest\Browser\Playwright\Page>
+     */
+    private array $popupPages = [];
+
     /**
      * Create a new recording session
      *
@@ -86,10 +119,11 @@ final class RecordingSession
         $this->injectRecorderScript($playwrightPage);
         
         // Set up communication channel
-        $this->communicator->initializeCommunication($playwrightPage, spl_object_id($this));
+        $this->communicator->initializeCommunication($playwrightPage, (string)spl_object_id($this));
         
         // Start the recorder
         $this->startRecorderInBrowser($playwrightPage);
+        $this->installResumeScript($playwrightPage);
     }
 
     /**
@@ -121,18 +155,62 @@ final class RecordingSession
 
     /**
      * Inject the recorder JavaScript into the page
+     *
+     * @param string|null $popupId Id of the popup the page shows, or null for the main page
      */
-    private function injectRecorderScript(\Pest\Browser\Playwright\Page $page): void
+    private function injectRecorderScript(\Pest\Browser\Playwright\Page $page, ?string $popupId = null): void
     {
         $recorderScript = file_get_contents(__DIR__ . '/../../resources/js/recorder.js');
+        $config = $popupId === null ? $this->config : ['pageId' => $popupId] + $this->config;
         
         // Inject the recorder class and initialize it
         $initScript = $recorderScript . "\n" . 
-            "window.__pestRecorder = new PestRecorder(" . json_encode($this->config) . ");";
+            "window.__pestRecorder = new PestRecorder(" . json_encode((object)$config) . ");";
         
         $page->evaluate($initScript);
     }
 
+    /**
+     * Resume recording as soon as the page loads after a navigation
+     *
+     * The init script runs in every document the page loads. It starts the
+     * recorder when the previous document persisted a session, so the first
+     * actions on the new page are recorded before the next poll. Without
+     * init script support, pollForActions() re-injects the recorder instead.
+     *
+     * @param string|null $popupId Id of the popup the page shows, or null for the main page
+     */
+    private function installResumeScript(\Pest\Browser\Playwright\Page $page, ?string $popupId = null): void
+    {
+        if (!method_exists($page, 'addInitScript')) {
+            return;
+        }
+
+        $stateKey = $popupId === null ? self::BROWSER_STATE_KEY : self::BROWSER_STATE_KEY . ':' . $popupId;
+        $config = $popupId === null ? $this->config : ['pageId' => $popupId] + $this->config;
+
+        // Wrapped in a function, so injecting the recorder again later cannot redeclare its classes
+        $page->addInitScript('(() => {
+            if (typeof window.__pestRecorder !== "undefined" || sessionStorage.getItem(' . json_encode($stateKey) . ') === null) {
+                return;
+            }
+            ' . file_get_contents(__DIR__ . '/../../resources/js/recorder.js') . '
+            const resume = () => {
+                if (typeof window.__pestRecorder !== "undefined") {
+                    return;
+                }
+                ' . $this->communicator->buildInitializationScript((string)spl_object_id($this)) . '
+                window.__pestRecorder = new PestRecorder(' . json_encode((object)$config) . ');
+                window.__pestRecorder.start();
+            };
+            if (document.readyState === "loading") {
+                document.addEventListener("DOMContentLoaded", resume, { once: true });
+            } else {
+                resume();
+            }
+        })();');
+    }
+
     /**
      * Start the recorder in the browser
      */
@@ -152,7 +230,98 @@ final class RecordingSession
      */
     public function pollForActions(\Pest\Browser\Playwright\Page $page): array
     {
-        return $this->communicator->pollForActions($page);
+        $this->resumeAfterNavigation($page);
+
+        $actions = $this->communicator->pollForActions($page);
+
+        foreach ($this->popupPages as $popupId => $popup) {
+            try {
+                $this->resumeAfterNavigation($popup, $popupId);
+                $actions = array_merge($actions, $this->communicator->pollForActions($popup));
+            } catch (\Exception $e) {
+                // The popup was closed, e.g. by an OAuth flow once the user signed in
+                unset($this->popupPages[$popupId]);
+            }
+        }
+
+        return $actions;
+    }
+
+    /**
+     * Re-inject the recorder after a full page load, unless the resume init script already did
+     *
+     * The previous page persisted its session to sessionStorage on unload;
+     * the new recorder picks it up and re-queues any actions not yet polled.
+     */
+    private function resumeAfterNavigation(\Pest\Browser\Playwright\Page $page, ?string $popupId = null): void
+    {
+        $stateKey = $popupId === null ? self::BROWSER_STATE_KEY : self::BROWSER_STATE_KEY . ':' . $popupId;
+        $needsRecorder = $page->evaluate(
+            'typeof window.__pestRecorder === "undefined" && sessionStorage.getItem(' . json_encode($stateKey) . ') !== null'
+        );
+
+        if ($needsRecorder !== true) {
+            return;
+        }
+
+        $this->injectRecorderScript($page, $popupId);
+        $this->communicator->initializeCommunication($page, (string)spl_object_id($this));
+        $this->startRecorderInBrowser($page);
+    }
+
+    /**
+     * Receive a batch of actions the browser pushed through window.__pestRecordingPush
+     *
+     * Expose a binding under that name to the page, pass it each batch and
+     * return the result to the browser as the acknowledgement. Batches that
+     * arrive twice, or also through polling, are only handled once.
+     *
+     * @param mixed $batch The pushed batch: {stream, actions}
+     * @return array{acknowledged: int}
+     */
+    public function receiveBatch(mixed $batch): array
+    {
+        return $this->communicator->receiveBatch($batch);
+    }
+
+    /**
+     * Start recording in a popup or new tab opened while recording
+     *
+     * Actions recorded there are tagged with the popup's id. Without an id,
+     * the page is attached to the oldest popup:opened action that has no
+     * page yet.
+     *
+     * @return string The popup id
+     *
+     * @throws SessionException When no recorded popup is waiting for a page
+     */
+    public function attachPopup(\Pest\Browser\Playwright\Page $popup, ?string $popupId = null): string
+    {
+        $popupId ??= array_key_first($this->pendingPopups);
+
+        if ($popupId === null) {
+            throw new SessionException('Cannot attach popup: no popup:opened action is waiting for a page');
+        }
+
+        unset($this->pendingPopups[$popupId]);
+        $this->popupPages[$popupId] = $popup;
+
+        $this->injectRecorderScript($popup, $popupId);
+        $this->communicator->initializeCommunication($popup, (string)spl_object_id($this));
+        $this->startRecorderInBrowser($popup);
+        $this->installResumeScript($popup, $popupId);
+
+        return $popupId;
+    }
+
+    /**
+     * Get the popups the browser reported opening that have no page attached yet
+     *
+     * @return array<string, array<string, mixed>> popup:opened data keyed by popup id
+     */
+    public function getPendingPopups(): array
+    {
+        return $this->pendingPopups;
     }
 
     /**
@@ -163,31 +332,125 @@ final class RecordingSession
         return $this->communicator->isSessionActive($page);
     }
 
+    /**
+     * Send a command to the recorder in the browser
+     *
+     * Supported commands: ping, pause, resume, stop, flush, updateConfig and
+     * highlight. The recorder answers with a command:ack action; use
+     * getCommandAcknowledgement() after polling to check the outcome.
+     *
+     * @param array<string, mixed> $data Command arguments
+     * @return string The command id
+     */
+    public function sendCommand(\Pest\Browser\Playwright\Page $page, string $command, array $data = []): string
+    {
+        return $this->communicator->sendMessageToBrowser($page, $command, $data);
+    }
+
+    /**
+     * Get the acknowledgement for a command, or null if none has arrived yet
+     *
+     * @return array<string, mixed>|null
+     */
+    public function getCommandAcknowledgement(string $commandId): ?array
+    {
+        return $this->commandAcknowledgements[$commandId] ?? null;
+    }
+
+    /**
+     * Replay the recorded actions in the page to verify the recording
+     *
+     * Nothing is recorded while the replay runs. Reset the page to where the
+     * recording started first, and pass values for redacted fields as
+     * ['values' => ['password' => '...']].
+     *
+     * @param array<string, mixed> $options PestReplayer options such as timeout, stopOnFailure and values
+     * @return array{passed: bool, steps: array<array<string, mixed>>, failedStep: array<string, mixed>|null}
+     *
+     * @throws SessionException When the recorder is not running in the page
+     */
+    public function replay(\Pest\Browser\Playwright\Page $page, array $options = []): array
+    {
+        $result = $page->evaluate(
+            'window.__pestRecorder ? window.__pestRecorder.replay(' . json_encode((object)$options, JSON_THROW_ON_ERROR) . ') : null'
+        );
+
+        if (!is_array($result)) {
+            throw new SessionException('Cannot replay: the recorder is not running in this page');
+        }
+
+        return $result;
+    }
+
     /**
      * Stop the recording session
      */
     public function stop(\Pest\Browser\Playwright\Page $page): void
     {
-        // Collect any remaining actions
-        $this->pollForActions($page);
+        // Stop the recorders first, so the actions they still hold and their
+        // session:end are among the actions collected before the queues are cleared
+        $this->stopRecorders($page);
+
+        // Each poll takes a limited batch from every page, so poll until they are empty
+        for ($polls = 0; $polls < self::MAX_STOP_POLLS; $polls++) {
+            if ($this->pollForActions($page) === []) {
+                break;
+            }
+        }
         
         // Stop communication and clean up
         $this->communicator->stopCommunication($page);
+        foreach ($this->popupPages as $popup) {
+            try {
+                $this->communicator->stopCommunication($popup);
+            } catch (\Exception $e) {
+                // Already closed
+            }
+        }
+        $this->popupPages = [];
         
         // Finish recording
         $this->finishRecording();
     }
 
+    /**
+     * Stop the recorders in a page and its popups, which sends what they still
+     * hold, such as typing waiting on its debounce, and records session:end
+     */
+    private function stopRecorders(\Pest\Browser\Playwright\Page $page): void
+    {
+        foreach ([$page, ...array_values($this->popupPages)] as $recordedPage) {
+            try {
+                $recordedPage->evaluate('window.__pestRecorder?.isRecording && window.__pestRecorder.stop()');
+            } catch (\Exception $e) {
+                // Already closed
+            }
+        }
+    }
+
     /**
      * Handle an action recorded from the browser
      *
      * @param string $type The type of action (click, fill, etc.)
      * @param array<string, mixed> $data Action data (selector, value, etc.)
+     * @param array{id?: int|null, sequence?: int|null} $envelope The recorder's id and sequence number for the action
      */
-    public function handleAction(string $type, array $data): void
+    public function handleAction(string $type, array $data, array $envelope = []): void
     {
         $sessionId = (string)spl_object_id($this);
         
+        if ($type === 'command:ack' && is_string($data['commandId'] ?? null)) {
+            $this->commandAcknowledgements[$data['commandId']] = $data;
+        }
+        
+        if ($type === 'popup:opened' && is_string($data['popupId'] ?? null)) {
+            $this->pendingPopups[$data['popupId']] = $data;
+        }
+        
+        if ($type === 'session:end' && ($data['droppedActions'] ?? 0) > 0) {
+            error_log("Recording dropped {$data['droppedActions']} actions that were not polled in time; raise maxActionsPerSession if the generated test misses steps");
+        }
+        
         // Extract context information
         $context = [
             'timestamp' => $data['timestamp'] ?? time(),
@@ -196,6 +459,11 @@ final class RecordingSession
             'metadata' => $data['metadata'] ?? [],
         ];
 
+        // action:removed and selector:updated refer back to actions by the recorder's id
+        if (is_int($envelope['id'] ?? null)) {
+            $context['metadata'] = [...(array)$context['metadata'], 'actionId' => $envelope['id']];
+        }
+
         // Remove context data from the action data to avoid duplication
         $cleanData = $data;
         unset($cleanData['timestamp'], $cleanData['url'], $cleanData['viewport'], $cleanData['metadata']);
@@ -206,6 +474,8 @@ final class RecordingSession
             'data' => $data,
             'timestamp' => $context['timestamp'],
             'sessionId' => $sessionId,
+            'id' => $envelope['id'] ?? null,
+            'sequence' => $envelope['sequence'] ?? null,
         ];
         $this->recordedActions[] = $legacyAction;
         
@@ -0,0 +1,44 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('assertion picking', { skip: missingBrowser }, () => {
+    it('offers the visibility the element has and the path of the page', async () => {
+        const page = await openRecorder({
+            '/orders': '<p id="shown">Paid</p><p id="gone" style="display: none">Refunded</p>',
+        }, {}, '/orders?page=2');
+
+        const options = await page.evaluate(() => {
+            const optionsFor = (id) => window.__pestRecorder.getAssertionOptions(document.getElementById(id));
+
+            return { shown: optionsFor('shown'), gone: optionsFor('gone') };
+        });
+
+        const pick = (list, kind) => list.find(option => option.kind === kind);
+        assert.equal(pick(options.shown, 'visible').expected, true);
+        assert.equal(pick(options.shown, 'hidden'), undefined);
+        assert.equal(pick(options.gone, 'hidden').expected, true);
+        assert.equal(pick(options.gone, 'visible'), undefined);
+        assert.equal(pick(options.shown, 'url').expected, '/orders');
+    });
+
+    it('replays a picked URL assertion', async () => {
+        const page = await openRecorder({ '/orders': '<h1 id="title">Orders</h1>' }, {}, '/orders?page=2');
+
+        const result = await page.evaluate(async () => {
+            const recorder = window.__pestRecorder;
+            const title = document.getElementById('title');
+            const option = recorder.getAssertionOptions(title).find(option => option.kind === 'url');
+            recorder.recordAssertion(option, title);
+
+            return recorder.replay();
+        });
+
+        assert.deepEqual(result.steps.map(({ type, status }) => [type, status]), [['assert', 'passed']]);
+        assert.equal(result.passed, true);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('controlling the recorder', { skip: missingBrowser }, () => {
+    it('acknowledges commands from PHP and follows them', async () => {
+        const page = await openRecorder('<button id="save" type="button">Save</button>');
+
+        await page.evaluate(() => window.__pestRecordingMessages.push({ id: 'cmd_1', type: 'pause' }));
+        await page.click('#save');
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.commandId, data.command, data.success]), [
+            ['command:ack', 'cmd_1', 'pause', true],
+        ]);
+        assert.equal(await page.evaluate(() => window.__pestRecorder.isPaused), true);
+    });
+
+    it('removes the last action', async () => {
+        const page = await openRecorder('<button id="save" type="button">Save</button><button id="next" type="button">Next</button>');
+
+        await page.click('#save');
+        await page.click('#next');
+        await recordedActions(page);
+        await page.evaluate(() => window.__pestRecorder.removeLastAction());
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.selector]), [['click', '#save']]);
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('delivery to PHP', { skip: missingBrowser }, () => {
+    it('keeps session lifecycle actions when the queue overflows', async () => {
+        const page = await openRecorder('<button id="save" type="button">Save</button>', { maxActionsPerSession: 3 });
+
+        for (let i = 0; i < 5; i++) {
+            await page.click('#save');
+        }
+        await page.evaluate(() => window.__pestRecorder.stop());
+
+        const queued = await page.evaluate(() => window.__pestRecordingActions.map(({ type, data, sequence }) => ({ type, data, sequence })));
+        assert.deepEqual(queued.map(action => action.type), ['session:start', 'click', 'session:end']);
+        // The dropped clicks leave a gap PHP reports as missing
+        assert.deepEqual(queued.map(action => action.sequence), [1, 6, 7]);
+        assert.ok(queued[2].data.droppedActions > 0);
+    });
+
+    it('numbers actions as they are queued, without gaps for withdrawn ones', async () => {
+        const page = await openRecorder('<button id="save" type="button">Save</button><button id="next" type="button">Next</button>');
+
+        await page.dblclick('#save');
+        await page.click('#next');
+        await recordedActions(page);
+
+        const batch = await page.evaluate(() => {
+            window.__pestRecordingActions.push({ type: 'session:heartbeat', data: {}, timestamp: Date.now() });
+            return window.__pestRecorder.takeBatch(50);
+        });
+        assert.deepEqual(batch.actions.map(({ type, sequence }) => [type, sequence]), [
+            ['session:start', 1],
+            ['dblclick', 2],
+            ['click', 3],
+            ['session:heartbeat', undefined],
+        ]);
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { chromium } = require('playwright');
+
+const recorderSource = fs.readFileSync(path.join(__dirname, '../../resources/js/recorder.js'), 'utf8');
+
+/**
+ * Origin the test pages are served from; requests to it are answered from the pages given to openRecorder()
+ */
+const ORIGIN = 'http://app.test';
+
+/**
+ * Why the browser tests are skipped: Playwright does not download Chromium on
+ * npm install, so it has to be installed with `npx playwright install chromium`
+ */
+const missingBrowser = fs.existsSync(chromium.executablePath())
+    ? false
+    : 'Chromium is not installed; run `npx playwright install chromium` to run the browser tests';
+
+let browser = null;
+
+/**
+ * Open a page in Chromium with the recorder injected and started
+ *
+ * @param {string|Object<string, string>} pages - HTML for "/", or HTML keyed by path
+ * @param {Object} config - PestRecorder options; the toolbar is off unless enabled
+ * @param {string} path - Path and query of the page to open
+ * @returns {Promise<import('playwright').Page>}
+ */
+async function openRecorder(pages, config = {}, path = '/') {
+    browser ??= await chromium.launch();
+
+    const routes = typeof pages === 'string' ? { '/': pages } : pages;
+    const page = await browser.newPage();
+    await page.route(`${ORIGIN}/**`, (route) => {
+        const { pathname } = new URL(route.request().url());
+        return pathname in routes
+            ? route.fulfill({ contentType: 'text/html', body: routes[pathname] })
+            : route.fulfill({ status: 404, body: '' });
+    });
+
+    await page.goto(`${ORIGIN}${path}`);
+    await startRecorder(page, config);
+
+    return page;
+}
+
+/**
+ * Inject the recorder into the current document and start it, as RecordingSession does
+ */
+async function startRecorder(page, config = {}) {
+    await page.addScriptTag({ content: recorderSource });
+    await page.evaluate((config) => {
+        window.__pestRecordingActions = window.__pestRecordingActions || [];
+        window.__pestRecorder = new PestRecorder({ showToolbar: false, ...config });
+        window.__pestRecorder.start();
+    }, config);
+}
+
+/**
+ * Deliver what the recorder still holds back and return its actions
+ *
+ * @returns {Promise<Array<{id: number, type: string, data: Object}>>}
+ */
+async function recordedActions(page) {
+    return page.evaluate(() => {
+        const recorder = window.__pestRecorder;
+        recorder.inputDebounce.flush();
+        recorder.flushMutations();
+        recorder.normalizer.settle();
+
+        return recorder.actions.map(({ id, type, data }) => ({ id, type, data }));
+    });
+}
+
+/**
+ * Close the shared browser once a test file is done
+ */
+async function closeBrowser() {
+    await browser?.close();
+    browser = null;
+}
+
+module.exports = { ORIGIN, missingBrowser, openRecorder, startRecorder, recordedActions, closeBrowser };
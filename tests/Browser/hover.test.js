@@ -0,0 +1,41 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+const page = `
+    <nav><button id="account" type="button">Account</button><ul id="account-menu" hidden><li>Sign out</li></ul></nav>
+    <div id="toast" hidden>Saved</div>
+`;
+
+describe('hover recording', { skip: missingBrowser }, () => {
+    it('keeps hovers that show an element next to the hovered one', async () => {
+        const recorder = await openRecorder(page, { includeHoverActions: true });
+
+        await recorder.hover('#account');
+        await recorder.evaluate(() => {
+            document.getElementById('account-menu').hidden = false;
+        });
+
+        const hovers = (await recordedActions(recorder)).filter(action => action.type === 'hover');
+        assert.equal(hovers.length, 1);
+        assert.equal(hovers[0].data.effect, 'revealed');
+        assert.equal(hovers[0].data.reveals, '#account-menu');
+    });
+
+    it('drops hovers while an unrelated element appears elsewhere', async () => {
+        const recorder = await openRecorder(page, { includeHoverActions: true });
+
+        await recorder.hover('#account');
+        await recorder.evaluate(() => {
+            document.getElementById('toast').hidden = false;
+            document.body.append(Object.assign(document.createElement('p'), { textContent: 'New message' }));
+        });
+
+        const hovers = (await recordedActions(recorder)).filter(action => action.type === 'hover');
+        assert.deepEqual(hovers, []);
+    });
+});
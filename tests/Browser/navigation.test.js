@@ -0,0 +1,63 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ORIGIN, missingBrowser, openRecorder, startRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('full page loads', { skip: missingBrowser }, () => {
+    it('carries only undelivered actions and the counters over to the next page', async () => {
+        const page = await openRecorder({
+            '/': '<button id="first" type="button">First</button><button id="second" type="button">Second</button>',
+            '/next': '<p>Next</p>',
+        });
+
+        await page.click('#first');
+        await recordedActions(page);
+
+        // PHP polls the first click and acknowledges it with its next poll
+        await page.evaluate(() => {
+            const recorder = window.__pestRecorder;
+            const { actions } = recorder.takeBatch(50, 0);
+            recorder.takeBatch(50, actions[actions.length - 1].sequence);
+        });
+
+        await page.click('#second');
+        const before = await recordedActions(page);
+        const saved = await page.evaluate(() => {
+            window.__pestRecorder.persistState();
+            return JSON.parse(sessionStorage.getItem('__pestRecorderState'));
+        });
+
+        assert.equal(saved.actions, undefined);
+        assert.deepEqual(saved.pending.map(action => action.data.selector), ['#second']);
+
+        await page.goto(`${ORIGIN}/next`);
+        await startRecorder(page);
+
+        const after = await recordedActions(page);
+        assert.deepEqual(after.map(action => action.type), ['click', 'beforeunload', 'session:restore']);
+        assert.equal(after[0].id, before[before.length - 1].id);
+        assert.ok(after[2].id > after[1].id);
+    });
+
+    it('replays only the actions recorded since the page loaded', async () => {
+        const page = await openRecorder({
+            '/': '<button id="start" type="button">Start</button>',
+            '/next': '<button id="save" type="button">Save</button>',
+        });
+
+        await page.click('#start');
+        await recordedActions(page);
+        await page.goto(`${ORIGIN}/next`);
+        await startRecorder(page);
+        await page.click('#save');
+        await recordedActions(page);
+
+        const result = await page.evaluate(() => window.__pestRecorder.replay({ stepDelay: 0 }));
+
+        assert.equal(result.passed, true);
+        assert.deepEqual(result.steps.map(step => [step.type, step.selector]), [['click', '#save']]);
+    });
+});
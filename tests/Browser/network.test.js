@@ -0,0 +1,41 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('network capture', { skip: missingBrowser }, () => {
+    it('leaves the query string out of recorded request URLs', async () => {
+        const page = await openRecorder('<p>Search</p>');
+
+        await page.evaluate(() => {
+            const recorder = window.__pestRecorder;
+            recorder.recordRequest(recorder.startRequest('fetch', 'get', '/api/users/7?token=abc#top'), 200, null);
+        });
+
+        const [request] = (await recordedActions(page)).filter(action => action.type === 'network');
+        assert.equal(request.data.url, 'http://app.test/api/users/7');
+        assert.equal(request.data.urlPattern, '/api/users/*');
+        assert.ok(!JSON.stringify(request).includes('abc'));
+    });
+
+    it('ignores requests matching patterns set while recording', async () => {
+        const page = await openRecorder('<p>Search</p>', { networkIgnore: ['/analytics', '(unclosed'] });
+
+        const ignored = await page.evaluate(() => {
+            const recorder = window.__pestRecorder;
+            const before = recorder.startRequest('fetch', 'GET', '/api/track?token=1') === null;
+            recorder.updateConfig({ networkIgnore: ['token='] });
+
+            return [
+                before,
+                recorder.startRequest('fetch', 'GET', '/api/track?token=1') === null,
+                recorder.startRequest('fetch', 'GET', '/analytics') === null,
+            ];
+        });
+
+        assert.deepEqual(ignored, [false, true, false]);
+    });
+});
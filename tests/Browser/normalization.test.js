@@ -0,0 +1,78 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('action normalization', { skip: missingBrowser }, () => {
+    it('merges typing into a single fill and keeps the click after it', async () => {
+        const page = await openRecorder('<input id="name"><button id="save" type="button">Save</button>');
+
+        await page.fill('#name', 'J');
+        await page.fill('#name', 'Jane');
+        await page.click('#save');
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.selector, data.value]), [
+            ['fill', '#name', 'Jane'],
+            ['click', '#save', undefined],
+        ]);
+    });
+
+    it('records a checkbox as a single check action', async () => {
+        const page = await openRecorder('<label><input type="checkbox" id="terms"> I agree</label>');
+
+        await page.click('#terms');
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.selector, data.checked]), [
+            ['check', '#terms', true],
+        ]);
+    });
+
+    it('retracts widget steps PHP already polled when they fold into a pick', async () => {
+        const page = await openRecorder(`
+            <input id="country" role="combobox" aria-controls="countries" aria-expanded="false">
+            <ul id="countries" role="listbox" hidden><li role="option" id="norway">Norway</li><li role="option">Sweden</li></ul>
+        `);
+
+        await page.evaluate(() => {
+            document.getElementById('country').addEventListener('click', () => {
+                document.getElementById('countries').hidden = false;
+            });
+        });
+        await page.click('#country');
+        const polled = await page.evaluate(() => {
+            window.__pestRecorder.normalizer.settle();
+            return window.__pestRecordingActions.splice(0).map(({ id, type }) => ({ id, type }));
+        });
+        const click = polled.find(action => action.type === 'click');
+        await page.click('#norway');
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.actionId ?? data.selector]), [
+            ['action:removed', click.id],
+            ['select', '#country'],
+        ]);
+    });
+
+    it('records navigation keys only when they change behavior', async () => {
+        const page = await openRecorder('<input id="search"><input id="name">');
+
+        await page.evaluate(() => {
+            document.getElementById('search').addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') event.preventDefault();
+            });
+        });
+        await page.press('#search', 'Enter');
+        await page.press('#name', 'ArrowLeft');
+        await page.waitForTimeout(20);
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.selector, data.key]), [
+            ['keydown', '#search', 'Enter'],
+        ]);
+    });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('redaction', { skip: missingBrowser }, () => {
+    it('keeps sensitive values out of the text of clicks', async () => {
+        const page = await openRecorder('<input id="pin" name="pin" value="1234"><input id="city" name="city" value="Oslo">');
+
+        await page.click('#pin');
+        await page.click('#city');
+
+        const clicks = (await recordedActions(page)).filter(action => action.type === 'click');
+        assert.deepEqual(clicks.map(click => click.data.text), ['', 'Oslo']);
+    });
+
+    it('matches configured patterns literally', async () => {
+        const page = await openRecorder('<input id="total" name="total"><input id="card" name="card_number">', {
+            redaction: { patterns: ['card number', 'c++'] },
+        });
+
+        await page.fill('#total', '12');
+        await page.fill('#card', '4242424242424242');
+
+        const fills = (await recordedActions(page)).filter(action => action.type === 'fill');
+        assert.deepEqual(fills.map(fill => fill.data.value), ['12', '{{card_number}}']);
+    });
+
+    it('redacts prompt answers that ask for sensitive values', async () => {
+        const page = await openRecorder('<p>Account</p>');
+
+        // Answered here rather than through a real prompt, which would block the page
+        await page.evaluate(() => {
+            const recorder = window.__pestRecorder;
+            recorder.recordDialog(recorder.startDialog('prompt', 'Enter your password'), 'hunter2');
+            recorder.recordDialog(recorder.startDialog('prompt', 'New list name?'), 'Groceries');
+        });
+
+        const dialogs = (await recordedActions(page)).filter(action => action.type === 'dialog');
+        assert.deepEqual(dialogs.map(dialog => dialog.data.value), ['{{password}}', 'Groceries']);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('selector generation', { skip: missingBrowser }, () => {
+    it('records clicks on pages with unnamed sections', async () => {
+        const page = await openRecorder('<section><p>x</p></section><button type="button">Save</button>');
+
+        await page.click('button');
+
+        const [click] = (await recordedActions(page)).filter(action => action.type === 'click');
+        assert.equal(click.data.selector, 'role=button[name="Save"]');
+    });
+
+    it('gives named sections the region role', async () => {
+        const page = await openRecorder('<section aria-label="Billing"><p>x</p></section><section><p>y</p></section>');
+
+        const roles = await page.evaluate(() => {
+            const locator = new AccessibleLocator();
+            return Array.from(document.querySelectorAll('section')).map(section => locator.getRole(section));
+        });
+
+        assert.deepEqual(roles, ['region', null]);
+    });
+
+    it('ranks the candidates once per recorded click', async () => {
+        const page = await openRecorder('<button id="save" type="button">Save</button>');
+
+        await page.evaluate(() => {
+            const generator = window.__pestRecorder.selectorGenerator;
+            const generateCandidates = generator.generateCandidates.bind(generator);
+            window.candidateRuns = 0;
+            generator.generateCandidates = (element) => {
+                window.candidateRuns++;
+                return generateCandidates(element);
+            };
+        });
+        await page.click('#save');
+
+        const [click] = (await recordedActions(page)).filter(action => action.type === 'click');
+        assert.equal(click.data.selectors[0].selector, '#save');
+        assert.equal(await page.evaluate(() => window.candidateRuns), 1);
+    });
+
+    it('flags positional selectors that drift without rewriting them', async () => {
+        const page = await openRecorder('<ul><li><span>Item</span></li><li><span>Item</span></li></ul>');
+
+        await page.click('li:nth-child(2) span');
+        await page.evaluate(() => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span>New</span>';
+            document.querySelector('ul').prepend(item);
+            window.__pestRecorder.checkTrackedSelectors();
+        });
+
+        const [click] = (await recordedActions(page)).filter(action => action.type === 'click');
+        assert.equal(click.data.selector, 'html > body > ul > li:nth-child(2) > span');
+        assert.equal(click.data.selectorWarning, 'stale');
+        assert.equal(click.data.suggestedSelector, undefined);
+    });
+
+    it('pierces open shadow roots with a selector per root', async () => {
+        const page = await openRecorder('<div id="host"></div>');
+
+        await page.evaluate(() => {
+            const root = document.getElementById('host').attachShadow({ mode: 'open' });
+            root.innerHTML = '<button type="button">Go</button>';
+            root.querySelector('button').click();
+        });
+
+        const [click] = (await recordedActions(page)).filter(action => action.type === 'click');
+        assert.equal(click.data.selector, '#host >> role=button[name="Go"]');
+    });
+
+    it('flags generated ids in the ranked candidates', async () => {
+        const page = await openRecorder('<button id="ember123" type="button">Save</button>');
+
+        await page.click('#ember123');
+
+        const [click] = (await recordedActions(page)).filter(action => action.type === 'click');
+        const byStrategy = Object.fromEntries(click.data.selectors.map(candidate => [candidate.strategy, candidate]));
+        assert.equal(click.data.selector, 'role=button[name="Save"]');
+        assert.deepEqual(byStrategy.id.flags, ['auto-generated-id', 'numeric-suffix']);
+        assert.ok(byStrategy.id.score < byStrategy.role.score);
+    });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('file uploads', { skip: missingBrowser }, () => {
+    it('records the attach in order and adds the contents once read', async () => {
+        const page = await openRecorder(
+            '<input type="file" id="avatar"><button id="upload" type="button">Upload</button>',
+            { captureFileContents: true }
+        );
+
+        await page.setInputFiles('#avatar', [{ name: 'me.txt', mimeType: 'text/plain', buffer: Buffer.from('hello') }]);
+        await page.click('#upload');
+        await page.waitForTimeout(50);
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(action => action.type), ['attach', 'click']);
+        assert.equal(actions[0].data.files[0].name, 'me.txt');
+        assert.equal(actions[0].data.files[0].content, Buffer.from('hello').toString('base64'));
+    });
+
+    it('sends contents read after PHP polled the attach as a follow-up', async () => {
+        const page = await openRecorder('<input type="file" id="avatar">', { captureFileContents: true });
+
+        await page.evaluate(() => {
+            // PHP polls before the file has been read
+            const recorder = window.__pestRecorder;
+            const readFileAsBase64 = recorder.readFileAsBase64.bind(recorder);
+            recorder.readFileAsBase64 = (file) => {
+                recorder.takeBatch(50, 0);
+                return readFileAsBase64(file);
+            };
+        });
+        await page.setInputFiles('#avatar', [{ name: 'me.txt', mimeType: 'text/plain', buffer: Buffer.from('hello') }]);
+        await page.waitForTimeout(50);
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(action => action.type), ['attach', 'attach:content']);
+        assert.deepEqual(actions[1].data, {
+            actionId: actions[0].id,
+            files: [{ name: 'me.txt', content: Buffer.from('hello').toString('base64') }],
+        });
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { missingBrowser, openRecorder, recordedActions, closeBrowser } = require('./helpers');
+
+after(closeBrowser);
+
+describe('wait inference', { skip: missingBrowser }, () => {
+    it('records waits in popups for the popup page', async () => {
+        const page = await openRecorder('<button id="load" type="button">Load</button><div id="list"></div>', { pageId: 'popup-1' });
+
+        await page.evaluate(() => {
+            document.getElementById('load').addEventListener('click', () => setTimeout(() => {
+                document.getElementById('list').append(Object.assign(document.createElement('p'), { id: 'row', textContent: 'Row' }));
+            }, 10));
+        });
+        await page.click('#load');
+        await page.evaluate(() => window.__pestRecorder.normalizer.settle());
+        await page.waitForTimeout(50);
+        await page.evaluate(() => window.__pestRecorder.closeSettleWindow());
+
+        const actions = (await recordedActions(page)).filter(action => !action.type.startsWith('session:'));
+        assert.deepEqual(actions.map(({ type, data }) => [type, data.pageId]), [
+            ['click', 'popup-1'],
+            ['wait', 'popup-1'],
+        ]);
+    });
+
+    it('escapes attribute values in the selectors of removed elements', async () => {
+        const page = await openRecorder('<p data-testid=\'say "hi" \\ bye\'>Hi</p>');
+
+        const found = await page.evaluate(() => {
+            const element = document.querySelector('p');
+            const selector = window.__pestRecorder.getDetachedSelector(element);
+            return document.querySelector(selector) === element;
+        });
+
+        assert.equal(found, true);
+    });
+});
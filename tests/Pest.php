@@ -3,6 +3,7 @@
 declare(strict_types=1);
 
 use PestPluginBrowserRecording\BrowserRecordingPlugin;
+use PestPluginBrowserRecording\Recorder\ActionData;
 
 /*
 |--------------------------------------------------------------------------
@@ -47,3 +48,20 @@ function something()
 {
     // ..
 }
+
+/**
+ * Build a recorded action the way the recorder hands it to the code generator
+ */
+function recordedAction(string $type, array $data, int $sequence, string $url = '/'): ActionData
+{
+    return new ActionData(
+        type: $type,
+        data: $data,
+        timestamp: time(),
+        url: $url,
+        sessionId: 'test',
+        sequence: $sequence,
+        viewport: null,
+        metadata: []
+    );
+}
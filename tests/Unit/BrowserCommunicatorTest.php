@@ -114,6 +114,20 @@ it('limits string length to prevent memory issues', function () {
     expect(strlen($sanitized))->toBe(10000); // Should be limited to 10000 chars
 });
 
+it('keeps captured file contents whole', function () {
+    $communicator = new BrowserCommunicator();
+    
+    $reflection = new ReflectionClass($communicator);
+    $method = $reflection->getMethod('sanitizeActionData');
+    $method->setAccessible(true);
+    
+    // The base64 encoding of the default maxFileContentSize of 102400 bytes
+    $content = str_repeat('QUJD', 34134);
+    $result = $method->invoke($communicator, ['files' => [['name' => 'scan.pdf', 'content' => $content]]]);
+    
+    expect($result['files'][0]['content'])->toBe($content);
+});
+
 it('handles nested action data properly', function () {
     $communicator = new BrowserCommunicator();
     
@@ -143,6 +157,77 @@ it('handles nested action data properly', function () {
     expect($result['object'])->toBeNull(); // Objects should be converted to null
 });
 
+it('preserves list values such as iframe frame paths', function () {
+    $communicator = new BrowserCommunicator();
+    
+    $reflection = new ReflectionClass($communicator);
+    $method = $reflection->getMethod('sanitizeActionData');
+    $method->setAccessible(true);
+    
+    $result = $method->invoke($communicator, [
+        'selector' => '#pay',
+        'frame' => ['#checkout-frame', '[name="card"]'],
+    ]);
+    
+    expect($result['frame'])->toBe(['#checkout-frame', '[name="card"]']);
+});
+
+it('drops duplicate actions and counts missing ones in numbered batches', function () {
+    $received = [];
+    $communicator = new BrowserCommunicator(function ($type, $data) use (&$received) {
+        $received[] = $data['selector'];
+    });
+    
+    $action = fn (int $sequence, string $selector) => [
+        'type' => 'click',
+        'data' => ['selector' => $selector],
+        'sequence' => $sequence,
+    ];
+    
+    $result = $communicator->receiveBatch(['stream' => 'abc', 'actions' => [$action(1, '#a'), $action(2, '#b')]]);
+    expect($result)->toBe(['acknowledged' => 2]);
+    
+    // The same batch again, e.g. retried after its acknowledgement was lost
+    $result = $communicator->receiveBatch(['stream' => 'abc', 'actions' => [$action(2, '#b'), $action(3, '#c'), $action(6, '#f')]]);
+    expect($result)->toBe(['acknowledged' => 6]);
+    
+    // Other recorders, such as popups, are numbered separately
+    expect($communicator->receiveBatch(['stream' => 'popup', 'actions' => [$action(1, '#p')]]))->toBe(['acknowledged' => 1]);
+    
+    expect($received)->toBe(['#a', '#b', '#c', '#f', '#p']);
+    expect($communicator->getStats()['duplicates'])->toBe(1);
+    expect($communicator->getStats()['missingActions'])->toBe(2);
+    expect($communicator->getStats()['actionsProcessed'])->toBe(5);
+});
+
+it('handles unnumbered actions such as heartbeats in numbered batches', function () {
+    $received = [];
+    $communicator = new BrowserCommunicator(function ($type) use (&$received) {
+        $received[] = $type;
+    });
+    
+    $result = $communicator->receiveBatch(['stream' => 'abc', 'actions' => [
+        ['sequence' => 1, 'type' => 'click', 'data' => ['selector' => '#a']],
+        ['type' => 'session:heartbeat', 'data' => ['sessionId' => 'abc']],
+    ]]);
+    
+    expect($result)->toBe(['acknowledged' => 1]);
+    expect($received)->toBe(['click', 'session:heartbeat']);
+});
+
+it('passes the recorder\'s id and sequence number to the action handler', function () {
+    $envelopes = [];
+    $communicator = new BrowserCommunicator(function ($type, $data, $envelope) use (&$envelopes) {
+        $envelopes[] = $envelope;
+    });
+    
+    $communicator->receiveBatch(['stream' => 'abc', 'actions' => [
+        ['id' => 7, 'sequence' => 1, 'type' => 'click', 'data' => ['selector' => '#a']],
+    ]]);
+    
+    expect($envelopes)->toBe([['id' => 7, 'sequence' => 1]]);
+});
+
 it('tracks statistics correctly', function () {
     $communicator = new BrowserCommunicator();
     
@@ -223,6 +223,337 @@ it('generates keys call for keyboard shortcuts', function () {
     expect($statements[0]->type)->toBe('interaction');
 });
 
+it('sends navigation keys to the element they were pressed on', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $actions = [
+        new ActionData(
+            type: 'session:start',
+            data: [],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        new ActionData(
+            type: 'keydown',
+            data: [
+                'selector' => '#search',
+                'key' => 'Enter',
+                'kind' => 'navigation',
+                'modifiers' => ['ctrl' => false, 'shift' => false, 'alt' => false, 'meta' => false]
+            ],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 2,
+            viewport: null,
+            metadata: []
+        )
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->code)->toContain('keys(\'#search\', \'Enter\')');
+});
+
+it('types text added to rich-text editors', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $edit = fn (array $data, int $sequence) => new ActionData(
+        type: 'edit',
+        data: $data + ['selector' => '#body', 'editor' => 'trix'],
+        timestamp: time(),
+        url: '/',
+        sessionId: 'test',
+        sequence: $sequence,
+        viewport: null,
+        metadata: []
+    );
+    
+    $actions = [
+        new ActionData(
+            type: 'session:start',
+            data: [],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        $edit(['text' => 'Hello', 'previousText' => ''], 2),
+        $edit(['text' => 'Hello world', 'previousText' => 'Hello'], 3),
+        $edit(['text' => 'Goodbye', 'previousText' => 'Hello world'], 4),
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->code)->toContain('type(\'#body\', \'Hello\')');
+    expect($result->code)->toContain('type(\'#body\', \' world\')');
+    expect($result->code)->toContain('fill(\'#body\', \'Goodbye\')');
+});
+
+it('generates code for normalized intent-level actions', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('fill', ['selector' => '#name', 'value' => 'Jane', 'inputType' => 'text', 'tagName' => 'input'], 2),
+        recordedAction('check', ['selector' => '#terms', 'checked' => true, 'inputType' => 'checkbox'], 3),
+        recordedAction('check', ['selector' => '#newsletter', 'checked' => false, 'inputType' => 'checkbox'], 4),
+        recordedAction('select', ['selector' => '#country', 'value' => 'nl', 'tagName' => 'select'], 5),
+        recordedAction('press', ['selector' => '#sign-up', 'text' => 'Sign up', 'form' => '#register'], 6),
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->code)->toContain('fill(\'#name\', \'Jane\')');
+    expect($result->code)->toContain('check(\'#terms\')');
+    expect($result->code)->toContain('uncheck(\'#newsletter\')');
+    expect($result->code)->toContain('select(\'#country\', \'nl\')');
+    expect($result->code)->toContain('press(\'Sign up\')');
+});
+
+it('waits for network requests sent by an action when waits are enabled', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('click', ['selector' => '#save'], 2),
+        recordedAction('network', ['method' => 'POST', 'url' => '/api/posts', 'urlPattern' => '/api/posts', 'status' => 201, 'triggeredBy' => 2], 3),
+        recordedAction('network', ['method' => 'GET', 'url' => '/api/posts/7', 'urlPattern' => '/api/posts/*', 'status' => 200, 'triggeredBy' => 2], 4),
+        recordedAction('network', ['method' => 'GET', 'url' => '/api/poll', 'urlPattern' => '/api/poll', 'status' => 200], 5),
+    ];
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false, 'generateWaits' => true]))
+        ->generateTest($actions);
+    
+    expect(substr_count($result->code, 'waitForEvent(\'networkidle\')'))->toBe(1);
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->not->toContain('waitForEvent');
+});
+
+it('generates assertions from inferred waits when waits are enabled', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('click', ['selector' => '#save'], 2),
+        recordedAction('wait', ['triggeredBy' => 2, 'waits' => [
+            ['kind' => 'loading-gone', 'selector' => '.spinner'],
+            ['kind' => 'appeared', 'selector' => '#toast', 'text' => 'Post created'],
+            ['kind' => 'appeared', 'selector' => '#modal'],
+        ]], 3),
+    ];
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false, 'generateWaits' => true]))
+        ->generateTest($actions);
+    
+    expect($result->code)->toContain('assertMissing(\'.spinner\')');
+    expect($result->code)->toContain('assertSeeIn(\'#toast\', \'Post created\')');
+    expect($result->code)->toContain('assertVisible(\'#modal\')');
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->not->toContain('assertMissing');
+});
+
+it('notes selectors that drifted while recording in comments', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('click', [
+            'selector' => 'div:nth-child(2) > button',
+            'suggestedSelector' => '[data-testid="save"]',
+            'selectorWarning' => 'ambiguous',
+            'tagName' => 'button',
+        ], 2),
+    ];
+    
+    $result = (new CodeGenerator(['autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain('click(\'div:nth-child(2) > button\')');
+    expect($result->code)->toContain('selector was ambiguous while recording, consider [data-testid="save"]');
+});
+
+it('applies drift flags that follow polled actions without changing their selectors', function () {
+    $click = new ActionData(
+        type: 'click',
+        data: ['selector' => 'li:nth-child(1) > button', 'tagName' => 'button'],
+        timestamp: time(),
+        url: '/',
+        sessionId: 'test',
+        sequence: 2,
+        viewport: null,
+        metadata: ['actionId' => 2]
+    );
+    
+    $actions = [
+        recordedAction('session:start', [], 1),
+        $click,
+        recordedAction('selector:updated', [
+            'actionId' => 2,
+            'selector' => 'li:nth-child(1) > button',
+            'selectorWarning' => 'stale',
+            'suggestedSelector' => '#save',
+        ], 3),
+    ];
+    
+    $result = (new CodeGenerator(['autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain('click(\'li:nth-child(1) > button\')');
+    expect($result->code)->toContain('selector was stale while recording, consider #save');
+    expect($result->code)->not->toContain('click(\'#save\')');
+});
+
+it('matches retractions and updates to actions of the page that sent them', function () {
+    $recorded = fn (string $type, array $data, int $sequence, int $actionId) => new ActionData(
+        type: $type,
+        data: $data,
+        timestamp: time(),
+        url: '/',
+        sessionId: 'test',
+        sequence: $sequence,
+        viewport: null,
+        metadata: ['actionId' => $actionId]
+    );
+    
+    // The main page and the popup both number their actions from 1
+    $actions = [
+        $recorded('session:start', [], 1, 1),
+        $recorded('click', ['selector' => '#main-save', 'tagName' => 'button'], 2, 2),
+        $recorded('click', ['selector' => '#main-next', 'tagName' => 'button'], 3, 3),
+        $recorded('popup:opened', ['popupId' => 'popup-1', 'url' => '/popup', 'via' => 'window.open'], 4, 4),
+        $recorded('session:start', ['pageId' => 'popup-1'], 5, 1),
+        $recorded('click', ['selector' => '#popup-save', 'tagName' => 'button', 'pageId' => 'popup-1'], 6, 2),
+        $recorded('click', ['selector' => '#popup-next', 'tagName' => 'button', 'pageId' => 'popup-1'], 7, 3),
+        $recorded('action:removed', ['actionId' => 3, 'pageId' => 'popup-1'], 8, 4),
+        $recorded('selector:updated', ['actionId' => 2, 'selector' => '#popup-save', 'selectorWarning' => 'stale', 'pageId' => 'popup-1'], 9, 5),
+    ];
+    
+    $result = (new CodeGenerator(['autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain("click('#main-next')");
+    expect($result->code)->not->toContain('#popup-next');
+    expect($result->code)->toContain('Click on #popup-save (selector was stale while recording)');
+    expect($result->code)->not->toContain('#main-save (selector was');
+});
+
+it('continues actions recorded in popups in their own page variable', function () {
+    $actions = [
+        recordedAction('session:start', [], 1, 'https://app.test/'),
+        recordedAction('click', ['selector' => '#docs', 'tagName' => 'a', 'text' => 'Docs'], 2, 'https://app.test/'),
+        recordedAction('popup:opened', ['popupId' => 'popup-1', 'url' => 'https://app.test/docs', 'via' => 'link', 'trigger' => '#docs'], 3, 'https://app.test/'),
+        recordedAction('session:start', ['pageId' => 'popup-1'], 4, 'https://app.test/docs'),
+        recordedAction('click', ['selector' => '#search', 'tagName' => 'button', 'pageId' => 'popup-1'], 5, 'https://app.test/docs'),
+        recordedAction('popup:opened', ['popupId' => 'popup-2', 'url' => 'about:blank', 'via' => 'window.open'], 6, 'https://app.test/'),
+        recordedAction('session:start', ['pageId' => 'popup-2'], 7, 'https://app.test/print'),
+        recordedAction('click', ['selector' => '#back', 'tagName' => 'button'], 8, 'https://app.test/'),
+    ];
+    
+    $statements = (new CodeGenerator(['autoAssertions' => false]))->convertActionsToPestCalls($actions);
+    
+    expect($statements)->toHaveCount(6);
+    expect($statements[2]->comment)->toBe('Continue in the popup opened by #docs at https://app.test/docs');
+    
+    $result = (new CodeGenerator(['autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain('$popup = visit(\'https://app.test/docs\')');
+    expect($result->code)->toContain('$popup->click(\'#search\')');
+    expect($result->code)->toContain('$popup2 = visit(\'https://app.test/print\')');
+    expect($result->code)->toContain('$page->click(\'#back\')');
+    expect(substr_count($result->code, 'visit('))->toBe(3);
+});
+
+it('answers recorded dialogs before the step that opened them', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('click', ['selector' => '#delete', 'tagName' => 'button'], 2),
+        recordedAction('dialog', ['kind' => 'confirm', 'message' => 'Delete this record?', 'response' => 'accepted', 'triggeredBy' => 2], 3),
+        recordedAction('click', ['selector' => '#rename', 'tagName' => 'button'], 4),
+        recordedAction('network', ['method' => 'GET', 'url' => '/names', 'status' => 200, 'triggeredBy' => 4], 5),
+        recordedAction('dialog', ['kind' => 'prompt', 'message' => 'New name?', 'response' => 'accepted', 'value' => "Jane's list", 'triggeredBy' => 4], 6),
+        recordedAction('dialog', ['kind' => 'beforeunload', 'message' => '', 'response' => 'dismissed', 'triggeredBy' => 4], 7),
+    ];
+    
+    $statements = (new CodeGenerator(['autoAssertions' => false]))->convertActionsToPestCalls($actions);
+    
+    expect($statements)->toHaveCount(5);
+    expect($statements[1]->comment)->toBe('Accept the confirm dialog: Delete this record?');
+    expect($statements[2]->comment)->toBe('Click on #delete');
+    expect($statements[3]->comment)->toBe('Accept the prompt dialog: New name?');
+    expect($statements[4]->comment)->toBe('Click on #rename');
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain("\$page->script('window.confirm = () => true')");
+    expect($result->code)->toContain('window.prompt = () => "Jane\\\'s list"');
+});
+
+it('clicks through custom widgets and selects every option of multiple selects', function () {
+    $actions = [
+        recordedAction('select', [
+            'selector' => '#country',
+            'tagName' => 'input',
+            'widget' => 'combobox',
+            'value' => 'Norway',
+            'values' => ['Norway'],
+            'picked' => [['label' => 'Norway', 'selector' => 'role=option[name="Norway"]']],
+            'search' => ['selector' => '#country', 'value' => 'nor'],
+        ], 1),
+        recordedAction('select', [
+            'selector' => '#tags',
+            'tagName' => 'ul',
+            'widget' => 'listbox',
+            'multiple' => true,
+            'value' => 'Beta',
+            'values' => ['Alpha', 'Beta'],
+            'picked' => [['label' => 'Alpha', 'selector' => '#tag-alpha'], ['label' => 'Beta', 'selector' => '#tag-beta']],
+        ], 2),
+        recordedAction('select', ['selector' => '#colors', 'tagName' => 'select', 'value' => 'r', 'multiple' => true, 'values' => ['r', 'b']], 3),
+    ];
+    
+    $statements = (new CodeGenerator(['autoAssertions' => false]))->convertActionsToPestCalls($actions);
+    
+    expect($statements[0]->comment)->toBe("Pick 'Norway' in #country");
+    expect($statements[1]->comment)->toBe("Pick 'Alpha', 'Beta' in #tags");
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain('$page->click(\'#country\')->type(\'#country\', \'nor\')->click(\'role=option[name="Norway"]\')');
+    expect($result->code)->toContain('$page->click(\'#tag-alpha\')->click(\'#tag-beta\')');
+    expect($result->code)->toContain('$page->select(\'#colors\', [\'r\', \'b\'])');
+});
+
+it('binds redacted values to environment variables', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('fill', ['selector' => '#email', 'value' => 'jane@example.com', 'inputType' => 'text', 'tagName' => 'input'], 2),
+        recordedAction('fill', ['selector' => '#password', 'value' => '{{password}}', 'inputType' => 'password', 'tagName' => 'input'], 3),
+    ];
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain('fill(\'#email\', \'jane@example.com\')');
+    expect($result->code)->toContain('fill(\'#password\', getenv(\'PEST_PASSWORD\'))');
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false, 'redactedValues' => 'placeholder']))
+        ->generateTest($actions);
+    
+    expect($result->code)->toContain('fill(\'#password\', \'{{password}}\')');
+});
+
+it('reads redacted prompt answers from environment variables', function () {
+    $actions = [
+        recordedAction('session:start', [], 1),
+        recordedAction('dialog', ['kind' => 'prompt', 'message' => 'Enter your password', 'response' => 'accepted', 'value' => '{{password}}'], 2),
+    ];
+    
+    $result = (new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]))->generateTest($actions);
+    
+    expect($result->code)->toContain("\$page->script('window.prompt = () => ' . json_encode(getenv('PEST_PASSWORD')))");
+});
+
 it('generates hover call', function () {
     $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
     
@@ -248,6 +579,178 @@ it('generates hover call', function () {
     expect($statements[0]->type)->toBe('interaction');
 });
 
+it('generates hover leaves as moving the pointer off the element', function () {
+    $generator = new CodeGenerator(['autoAssertions' => false]);
+    
+    $actions = [
+        new ActionData(
+            type: 'hover',
+            data: ['selector' => '#account', 'action' => 'enter', 'effect' => 'revealed', 'reveals' => '#account-menu'],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        new ActionData(
+            type: 'hover',
+            data: ['selector' => '#account', 'action' => 'leave'],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 2,
+            viewport: null,
+            metadata: []
+        ),
+    ];
+    
+    $statements = $generator->convertActionsToPestCalls($actions);
+    
+    expect($statements)->toHaveCount(2);
+    expect($statements[0]->comment)->toBe('Hover over #account to reveal #account-menu');
+    expect($statements[1]->comment)->toBe('Move the pointer off #account');
+});
+
+it('generates assertions picked while recording', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $assert = fn (array $data, int $sequence) => new ActionData(
+        type: 'assert',
+        data: $data,
+        timestamp: time(),
+        url: '/',
+        sessionId: 'test',
+        sequence: $sequence,
+        viewport: null,
+        metadata: []
+    );
+    
+    $actions = [
+        new ActionData(
+            type: 'session:start',
+            data: [],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        $assert(['kind' => 'text', 'selector' => 'h1', 'expected' => 'Welcome back'], 2),
+        $assert(['kind' => 'checked', 'selector' => '#terms', 'expected' => false], 3),
+        $assert(['kind' => 'attribute', 'selector' => '#help', 'attribute' => 'href', 'expected' => '/help'], 4),
+        $assert(['kind' => 'count', 'selector' => 'li.item', 'expected' => 3], 5),
+        $assert(['kind' => 'url', 'selector' => null, 'expected' => 'https://example.com/dashboard'], 6),
+        $assert(['kind' => 'url', 'selector' => null, 'expected' => '/dashboard'], 7),
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->hasAssertions)->toBeTrue();
+    expect($result->code)->toContain('assertSeeIn(\'h1\', \'Welcome back\')');
+    expect($result->code)->toContain('assertNotChecked(\'#terms\')');
+    expect($result->code)->toContain('assertAttribute(\'#help\', \'href\', \'/help\')');
+    expect($result->code)->toContain('assertCount(\'li.item\', 3)');
+    expect($result->code)->toContain('assertUrlIs(\'https://example.com/dashboard\')');
+    expect($result->code)->toContain('assertPathIs(\'/dashboard\')');
+});
+
+it('skips assertions of unknown kinds', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $actions = [
+        new ActionData(
+            type: 'assert',
+            data: ['kind' => 'unknown', 'selector' => '#x', 'expected' => true],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        )
+    ];
+    
+    expect($generator->convertActionsToPestCalls($actions))->toBeEmpty();
+});
+
+it('generates attach calls pointing at upload fixtures', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $attach = fn (array $data, int $sequence) => new ActionData(
+        type: 'attach',
+        data: $data,
+        timestamp: time(),
+        url: '/',
+        sessionId: 'test',
+        sequence: $sequence,
+        viewport: null,
+        metadata: []
+    );
+    
+    $actions = [
+        new ActionData(
+            type: 'session:start',
+            data: [],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        $attach([
+            'selector' => '#avatar',
+            'files' => [['name' => 'me.png', 'size' => 2048, 'type' => 'image/png', 'fixture' => 'tests/Fixtures/me.png']],
+            'multiple' => false,
+        ], 2),
+        $attach([
+            'selector' => '#documents',
+            'files' => [
+                ['name' => 'a.pdf', 'size' => 10, 'type' => 'application/pdf'],
+                ['name' => 'b.pdf', 'size' => 20, 'type' => 'application/pdf'],
+            ],
+            'multiple' => true,
+        ], 3),
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->code)->toContain('attach(\'#avatar\', \'tests/Fixtures/me.png\')');
+    expect($result->code)->toContain('attach(\'#documents\'');
+    expect($result->code)->toContain('\'tests/Fixtures/a.pdf\', \'tests/Fixtures/b.pdf\'');
+});
+
+it('generates drag calls from recorded drag and drop', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $actions = [
+        new ActionData(
+            type: 'drag',
+            data: [
+                'selector' => '#card-1',
+                'target' => '#column-done',
+                'sourceOffset' => ['x' => 10, 'y' => 8],
+                'targetOffset' => ['x' => 40, 'y' => 120],
+                'method' => 'pointer',
+            ],
+            timestamp: time(),
+            url: '/board',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+    ];
+    
+    $statements = $generator->convertActionsToPestCalls($actions);
+    
+    expect($statements)->toHaveCount(1);
+    expect($statements[0]->type)->toBe('interaction');
+    expect($statements[0]->expression->name->name)->toBe('drag');
+});
+
 it('skips unsupported action types', function () {
     $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
     
@@ -410,6 +913,45 @@ it('uses selector strategy for missing selectors', function () {
     expect($statements[0]->type)->toBe('interaction');
 });
 
+it('picks the highest scoring unique selector candidate', function () {
+    $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
+    
+    $actions = [
+        new ActionData(
+            type: 'session:start',
+            data: [],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 1,
+            viewport: null,
+            metadata: []
+        ),
+        new ActionData(
+            type: 'click',
+            data: [
+                'selector' => '.css-1x2y3z',
+                'coordinates' => [],
+                'selectors' => [
+                    ['selector' => '.css-1x2y3z', 'strategy' => 'class', 'score' => 0, 'unique' => true, 'flags' => ['hashed-class']],
+                    ['selector' => '[data-testid="save"]', 'strategy' => 'test-id', 'score' => 100, 'unique' => false, 'flags' => ['not-unique']],
+                    ['selector' => 'role=button[name="Save"]', 'strategy' => 'role', 'score' => 60, 'unique' => true, 'flags' => []],
+                ],
+            ],
+            timestamp: time(),
+            url: '/',
+            sessionId: 'test',
+            sequence: 2,
+            viewport: null,
+            metadata: []
+        )
+    ];
+    
+    $result = $generator->generateTest($actions);
+    
+    expect($result->code)->toContain('click(\'role=button[name="Save"]\')');
+});
+
 it('handles navigation actions correctly', function () {
     $generator = new CodeGenerator(['includeComments' => false, 'autoAssertions' => false]);
     
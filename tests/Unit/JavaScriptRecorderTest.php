@@ -55,7 +55,6 @@ it('recorder javascript includes security and privacy features', function () {
     
     // Check for password masking
     expect($content)->toContain('password');
-    expect($content)->toContain('*\'.repeat');
 });
 
 it('recorder javascript includes performance optimizations', function () {
@@ -168,9 +168,9 @@ it('supports fluent API chaining with multiple options', function () {
 
 it('validates all enhanced boolean options', function () {
     $booleanOptions = [
-        'autoAssertions', 'generateComments', 'useStableSelectors', 'includeAriaAttributes',
-        'includeHoverActions', 'captureKeyboardShortcuts', 'recordScrollPosition', 'recordViewportChanges',
-        'backupFiles', 'autoCleanupBackups', 'useTypeForInputs', 'chainMethods',
+        'autoAssertions', 'generateComments', 'useStableSelectors', 'includeAriaAttributes', 'detectSelectorDrift',
+        'includeHoverActions', 'captureKeyboardShortcuts', 'captureNavigationKeys', 'capturePopups', 'captureDialogs', 'captureNetwork', 'inferWaits', 'recordScrollPosition',
+        'recordViewportChanges', 'backupFiles', 'autoCleanupBackups', 'useTypeForInputs', 'chainMethods',
         'throttleScrollEvents', 'debounceInputEvents'
     ];
     
@@ -180,6 +180,179 @@ it('validates all enhanced boolean options', function () {
     }
 });
 
+it('enables the recorder toolbar by default', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('showToolbar'))->toBeTrue();
+    expect($config->showToolbar(false)->get('showToolbar'))->toBeFalse();
+    
+    expect(fn() => new RecordingConfig(['showToolbar' => 'yes']))
+        ->toThrow(InvalidArgumentException::class, 'showToolbar must be a boolean');
+});
+
+it('configures file upload capture', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('captureFileContents'))->toBeFalse();
+    expect($config->get('fixtureDirectory'))->toBe('tests/Fixtures');
+    
+    $config->captureFileContents(true, 2048)->fixtureDirectory('tests/uploads');
+    
+    expect($config->get('captureFileContents'))->toBeTrue();
+    expect($config->get('maxFileContentSize'))->toBe(2048);
+    expect($config->get('fixtureDirectory'))->toBe('tests/uploads');
+    
+    expect(fn() => new RecordingConfig(['maxFileContentSize' => -1]))
+        ->toThrow(InvalidArgumentException::class, 'maxFileContentSize must be a non-negative integer');
+});
+
+it('configures sensitive field redaction', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('redaction')['maskAttribute'])->toBe('data-pest-mask');
+    expect($config->get('redaction')['autocomplete'])->toContain('cc-number');
+    expect($config->get('redactedValues'))->toBe('env');
+    
+    $config->redactFields(['#license-key'])
+        ->allowFields(['#pin-color'])
+        ->redaction(['patterns' => ['password', 'iban']])
+        ->redactedValues('placeholder');
+    
+    expect($config->get('redaction')['deny'])->toBe(['#license-key']);
+    expect($config->get('redaction')['allow'])->toBe(['#pin-color']);
+    expect($config->get('redaction')['patterns'])->toBe(['password', 'iban']);
+    expect($config->get('redactedValues'))->toBe('placeholder');
+    
+    expect(fn() => new RecordingConfig(['redaction' => ['deny' => '#license-key']]))
+        ->toThrow(InvalidArgumentException::class, 'redaction.deny must be an array of strings');
+    
+    expect(fn() => new RecordingConfig(['redactedValues' => 'fixture']))
+        ->toThrow(InvalidArgumentException::class, 'redactedValues must be "env" or "placeholder"');
+});
+
+it('configures network capture', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('captureNetwork'))->toBeTrue();
+    expect($config->get('networkIgnore'))->toBe([]);
+    expect($config->get('networkLinkWindow'))->toBe(1000);
+    
+    $config->captureNetwork(true, ['google-analytics\\.com']);
+    
+    expect($config->get('networkIgnore'))->toBe(['google-analytics\\.com']);
+    expect($config->captureNetwork(false)->get('captureNetwork'))->toBeFalse();
+    
+    expect(fn() => new RecordingConfig(['networkIgnore' => 'analytics']))
+        ->toThrow(InvalidArgumentException::class, 'networkIgnore must be an array of strings');
+    
+    expect(fn() => new RecordingConfig(['networkLinkWindow' => -1]))
+        ->toThrow(InvalidArgumentException::class, 'networkLinkWindow must be a non-negative integer');
+});
+
+it('configures wait inference', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('inferWaits'))->toBeTrue();
+    expect($config->get('waitSettleWindow'))->toBe(2000);
+    expect($config->get('loadingSelectors'))->toContain('[role="progressbar"]');
+    
+    $config->inferWaits(true, 5000)->loadingSelectors(['.busy']);
+    
+    expect($config->get('waitSettleWindow'))->toBe(5000);
+    expect($config->get('loadingSelectors'))->toBe(['.busy']);
+    
+    expect(fn() => new RecordingConfig(['loadingSelectors' => '.busy']))
+        ->toThrow(InvalidArgumentException::class, 'loadingSelectors must be an array of strings');
+});
+
+it('configures hover recording', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('includeHoverActions'))->toBeFalse();
+    expect($config->get('hoverEffectWindow'))->toBe(1000);
+    
+    $config->includeHoverActions(true, 1500);
+    
+    expect($config->get('includeHoverActions'))->toBeTrue();
+    expect($config->get('hoverEffectWindow'))->toBe(1500);
+    
+    expect(fn() => new RecordingConfig(['hoverEffectWindow' => -1]))
+        ->toThrow(InvalidArgumentException::class, 'hoverEffectWindow must be a non-negative integer');
+});
+
+it('configures selector drift detection', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('detectSelectorDrift'))->toBeTrue();
+    
+    $config->detectSelectorDrift(false);
+    
+    expect($config->get('detectSelectorDrift'))->toBeFalse();
+});
+
+it('configures popup capture', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('capturePopups'))->toBeTrue();
+    
+    $config->capturePopups(false);
+    
+    expect($config->get('capturePopups'))->toBeFalse();
+});
+
+it('configures dialog capture', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('captureDialogs'))->toBeTrue();
+    
+    $config->captureDialogs(false);
+    
+    expect($config->get('captureDialogs'))->toBeFalse();
+});
+
+it('configures the action buffer, rate limit and log level', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('actionRateLimit'))->toBe(20);
+    expect($config->get('logLevel'))->toBe('warn');
+    
+    $config->maxActionsPerSession(2000)->actionRateLimit(0)->logLevel('debug');
+    
+    expect($config->get('maxActionsPerSession'))->toBe(2000);
+    expect($config->get('actionRateLimit'))->toBe(0);
+    expect($config->get('logLevel'))->toBe('debug');
+    
+    expect(fn() => new RecordingConfig(['actionRateLimit' => -5]))
+        ->toThrow(InvalidArgumentException::class, 'actionRateLimit must be a non-negative integer');
+    
+    expect(fn() => new RecordingConfig(['logLevel' => 'verbose']))
+        ->toThrow(InvalidArgumentException::class, 'logLevel must be "silent", "error", "warn", "info" or "debug"');
+});
+
+it('configures the push transport', function () {
+    $config = new RecordingConfig();
+    
+    expect($config->get('pushTransport'))->toBeFalse();
+    expect($config->get('pushRetries'))->toBe(5);
+    
+    $config->pushTransport(true, 10);
+    
+    expect($config->get('pushTransport'))->toBeTrue();
+    expect($config->get('pushRetries'))->toBe(10);
+    expect($config->pushTransport(false)->get('pushTransport'))->toBeFalse();
+    
+    expect(fn() => new RecordingConfig(['pushRetries' => -1]))
+        ->toThrow(InvalidArgumentException::class, 'pushRetries must be a non-negative integer');
+});
+
+it('limits captured file contents to what the browser can send', function () {
+    expect((new RecordingConfig(['maxFileContentSize' => RecordingConfig::MAX_FILE_CONTENT_SIZE]))->get('maxFileContentSize'))
+        ->toBe(1048576);
+    
+    expect(fn() => new RecordingConfig(['maxFileContentSize' => 2097152]))
+        ->toThrow(InvalidArgumentException::class, 'maxFileContentSize must be at most 1048576 bytes');
+});
+
 it('validates enhanced integer options', function () {
     expect(fn() => new RecordingConfig(['maxBackupsPerFile' => -1]))
         ->toThrow(InvalidArgumentException::class, 'maxBackupsPerFile must be a non-negative integer');
@@ -2,6 +2,7 @@
 
 declare(strict_types=1);
 
+use PestPluginBrowserRecording\Generator\CodeGenerator;
 use PestPluginBrowserRecording\Recorder\RecordingSession;
 
 it('creates recording session with page instance and config', function () {
@@ -29,6 +30,59 @@ it('handles recorded actions', function () {
         ->toHaveKey('sessionId');
 });
 
+it('keeps acknowledgements of commands sent to the browser', function () {
+    $mockPage = new stdClass();
+    $session = new RecordingSession($mockPage);
+    
+    $session->handleAction('command:ack', [
+        'commandId' => 'cmd_123',
+        'command' => 'pause',
+        'success' => true,
+    ]);
+    
+    expect($session->getCommandAcknowledgement('cmd_123'))
+        ->toHaveKey('command', 'pause')
+        ->toHaveKey('success', true);
+    expect($session->getCommandAcknowledgement('cmd_unknown'))->toBeNull();
+});
+
+it('leaves actions the browser retracted out of the generated test', function () {
+    $session = new RecordingSession(new stdClass());
+    
+    $session->handleAction('click', ['selector' => '#save', 'coordinates' => ['x' => 0, 'y' => 0]], ['id' => 2, 'sequence' => 2]);
+    $session->handleAction('click', ['selector' => '#cancel', 'coordinates' => ['x' => 0, 'y' => 0]], ['id' => 3, 'sequence' => 3]);
+    $session->handleAction('action:removed', ['actionId' => 2], ['id' => 4, 'sequence' => 4]);
+    
+    expect($session->getStructuredActions()[0]->metadata)->toHaveKey('actionId', 2);
+    
+    $code = (new CodeGenerator(['autoAssertions' => false]))->generateTest($session->getStructuredActions())->code;
+    
+    expect($code)->toContain("click('#cancel')");
+    expect($code)->not->toContain('#save');
+});
+
+it('clicks a widget once when its polled opening click folds into the pick', function () {
+    $session = new RecordingSession(new stdClass());
+    
+    $session->handleAction('click', ['selector' => '#country', 'tagName' => 'input', 'coordinates' => ['x' => 0, 'y' => 0]], ['id' => 2, 'sequence' => 2]);
+    $session->handleAction('action:removed', ['actionId' => 2, 'type' => 'click'], ['id' => 3, 'sequence' => 3]);
+    $session->handleAction('select', [
+        'selector' => '#country',
+        'tagName' => 'input',
+        'widget' => 'combobox',
+        'value' => 'Norway',
+        'values' => ['Norway'],
+        'picked' => [['label' => 'Norway', 'selector' => '#norway']],
+    ], ['id' => 4, 'sequence' => 4]);
+    
+    expect($session->getStructuredActions())->toHaveCount(3);
+    
+    $code = (new CodeGenerator(['autoAssertions' => false]))->generateTest($session->getStructuredActions())->code;
+    
+    expect(substr_count($code, "click('#country')"))->toBe(1);
+    expect($code)->toContain("click('#norway')");
+});
+
 it('starts recording session without errors', function () {
     $mockPage = new stdClass();
     $session = new RecordingSession($mockPage);